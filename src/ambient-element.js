@@ -0,0 +1,248 @@
+/**
+ * ambient-element.js - <ambient-header> Custom Element
+ *
+ * Wraps createAmbientHeader() so the animation can be embedded without
+ * writing JavaScript. The element renders its own canvas in shadow DOM and
+ * maps kebab-case attributes to AmbientConfig keys:
+ *
+ *   <ambient-header logo-src="/assets/Logo.svg" particle-count="400"
+ *                   spring-feel="bouncy" show-contours="false"></ambient-header>
+ *
+ * Attribute values are parsed by the type of the config default: numbers,
+ * booleans ("false" turns a flag off, a bare attribute turns it on), JSON for
+ * arrays and objects, strings otherwise. Removing an attribute restores the
+ * default.
+ *
+ * @module ambient-element
+ */
+
+import { createAmbientHeader, getDefaultConfig } from './ambient.js';
+
+/**
+ * Short attribute names for common config keys
+ */
+const ATTRIBUTE_ALIASES = {
+  'logo-src': 'logoSvgUrl',
+  'spring-feel': 'particleSpringFeel',
+};
+
+/**
+ * Config keys that are only read when the controller is created
+ * Changing one rebuilds the animation on a fresh canvas (a canvas handed to
+ * a worker or a WebGL context can't be reused).
+ */
+const REBUILD_KEYS = new Set([
+  'logoSvgUrl',
+  'shapes',
+  'alphaThreshold',
+  'renderer',
+  'worker',
+  'motionControl',
+  'motionStorageKey',
+  'pauseWhenHidden',
+  'followColorScheme',
+  'themeTokens',
+]);
+
+const DEFAULTS = getDefaultConfig();
+
+/**
+ * Config key for each observed attribute
+ */
+const ATTRIBUTE_KEYS = new Map([
+  ...Object.keys(DEFAULTS).map(key => [key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), key]),
+  ...Object.entries(ATTRIBUTE_ALIASES),
+]);
+
+const SHADOW_STYLES = `
+  :host {
+    display: block;
+    position: relative;
+  }
+
+  .stage {
+    position: absolute;
+    inset: 0;
+    overflow: hidden;
+  }
+
+  canvas {
+    display: block;
+    width: 100%;
+    height: 100%;
+  }
+
+  /* Let the canvas receive pointer events; re-enable them on links and buttons */
+  .content {
+    position: relative;
+    z-index: 10;
+    pointer-events: none;
+  }
+
+  .ambient-motion-toggle {
+    padding: 0.5rem 0.875rem;
+    font: 500 0.875rem system-ui, sans-serif;
+    color: #1a1a1a;
+    background: rgba(255, 255, 255, 0.85);
+    border: 1px solid rgba(0, 40, 80, 0.15);
+    border-radius: 999px;
+    cursor: pointer;
+  }
+
+  .ambient-motion-toggle:focus-visible {
+    outline: 2px solid #019EFF;
+    outline-offset: 2px;
+  }
+`;
+
+/**
+ * Parses an attribute value by the type of the config default
+ * @param {string} key - Config key
+ * @param {string|null} value - Attribute value (null = removed)
+ * @returns {*} Config value
+ */
+function parseAttribute(key, value) {
+  const fallback = DEFAULTS[key];
+  if (value === null) return fallback;
+
+  if (typeof fallback === 'boolean') return value !== 'false';
+
+  if (typeof fallback === 'number') {
+    const number = Number(value);
+    if (value.trim() !== '' && Number.isFinite(number)) return number;
+    console.warn(`Invalid number for ambient option "${key}": "${value}"`);
+    return fallback;
+  }
+
+  if (fallback !== null && typeof fallback === 'object') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Invalid JSON for ambient option "${key}":`, error);
+      return fallback;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * <ambient-header> element
+ * Content placed inside the element renders above the animation. Size the
+ * element with CSS; the canvas fills it.
+ */
+export class AmbientHeaderElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...ATTRIBUTE_KEYS.keys()];
+  }
+
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>${SHADOW_STYLES}</style>
+      <div class="stage" part="stage"></div>
+      <div class="content"><slot></slot></div>
+    `;
+
+    this._controller = null;
+    this._pending = null;
+  }
+
+  /**
+   * Controller of the running animation (null while disconnected)
+   * @returns {Object|null} Controller from createAmbientHeader()
+   */
+  get controller() {
+    return this._controller;
+  }
+
+  connectedCallback() {
+    this._start();
+  }
+
+  disconnectedCallback() {
+    this._stop();
+  }
+
+  /**
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value (null = removed)
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this._controller || oldValue === newValue) return;
+
+    const key = ATTRIBUTE_KEYS.get(name);
+
+    // Several attributes set in a row apply together
+    if (!this._pending) {
+      this._pending = {};
+      queueMicrotask(() => this._flush());
+    }
+    this._pending[key] = parseAttribute(key, newValue);
+  }
+
+  /**
+   * Reads the config from the current attributes
+   * @returns {Partial<AmbientConfig>} Config overrides
+   */
+  _readConfig() {
+    const config = {};
+
+    for (const { name, value } of this.attributes) {
+      const key = ATTRIBUTE_KEYS.get(name);
+      if (key) config[key] = parseAttribute(key, value);
+    }
+
+    return config;
+  }
+
+  /**
+   * Creates the controller on a fresh canvas
+   */
+  _start() {
+    if (this._controller) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.setAttribute('aria-hidden', 'true');
+    canvas.setAttribute('part', 'canvas');
+    this.shadowRoot.querySelector('.stage').append(canvas);
+
+    // The canvas sits in shadow DOM; slotted content lives under the host
+    this._controller = createAmbientHeader(canvas, { observeRoot: this, ...this._readConfig() });
+  }
+
+  /**
+   * Destroys the controller and removes its canvas
+   */
+  _stop() {
+    this._pending = null;
+    if (!this._controller) return;
+
+    this._controller.destroy();
+    this._controller = null;
+    this.shadowRoot.querySelector('.stage').replaceChildren();
+  }
+
+  /**
+   * Applies attribute changes collected in this task
+   */
+  _flush() {
+    const changes = this._pending;
+    this._pending = null;
+    if (!changes || !this._controller) return;
+
+    if (Object.keys(changes).some(key => REBUILD_KEYS.has(key))) {
+      this._stop();
+      this._start();
+    } else {
+      this._controller.updateConfig(changes);
+    }
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('ambient-header')) {
+  customElements.define('ambient-header', AmbientHeaderElement);
+}
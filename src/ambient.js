@@ -4,21 +4,16 @@
  * Coordinates noise-based contours and particle system for ambient header animation.
  * Performance-optimized with DPI awareness, reduced motion support, and batched rendering.
  *
+ * The simulation itself lives in scene.js. This module owns everything that
+ * needs the DOM (canvas measurement, logo loading, input listeners) and drives
+ * the scene either directly or through a Web Worker.
+ *
  * @module ambient
  */
 
-import { createFBM, generateNoiseField } from './noise.js';
-import { marchingSquares, renderMultiContours } from './contours.js';
-import { springStep, applyRepulsion } from './spring.js';
-import {
-  Particle,
-  extractParticlePositions,
-  initializeParticles,
-  updateParticles,
-  renderParticles,
-  getSpringPreset,
-  getReducedMotionConfig
-} from './particles.js';
+import { extractParticlePositions, createTextImage } from './particles.js';
+import { createScene } from './scene.js';
+import { createQualityGovernor, resolveQuality } from './quality.js';
 
 /**
  * Default configuration for ambient animation
@@ -26,40 +21,510 @@ import {
  * @property {number} gridSize - Grid cell size in pixels (default: 40)
  * @property {number} octaves - Number of noise octaves for fbm (default: 3)
  * @property {number} baseFrequency - Base noise frequency (default: 0.008)
- * @property {number} timeSpeed - Animation speed multiplier (default: 0.0003)
+ * @property {number} timeSpeed - Noise evolution per 60Hz frame along the time axis (default: 0.0003)
+ * @property {string} noiseMode - Contour noise: 'fbm', 'ridged', 'turbulence', 'domainWarp' (default: 'fbm')
+ * @property {number} lacunarity - Frequency growth per octave (default: 2)
+ * @property {number} persistence - Amplitude decay per octave (default: 0.5)
+ * @property {number} warpStrength - Domain warp displacement in noise units (default: 1.5)
  * @property {number[]} thresholds - Isoline threshold values (default: [-0.5, -0.2, 0.1, 0.4, 0.7])
  * @property {number} particleCount - Number of particles (default: 500)
  * @property {number} mouseRadius - Mouse influence radius in pixels (default: 100)
  * @property {number} mouseForce - Mouse repulsion force strength (default: 0.5)
+ * @property {string} interactionMode - Pointer effect: 'repel', 'attract', 'vortex', 'ripple' (default: 'repel')
+ * @property {string} interactionFalloff - Force falloff: 'inverseSquare', 'quadratic', 'gaussian' (default: 'inverseSquare')
+ * @property {string} logoFollowTarget - With several pointers, follow their 'centroid' or the 'latest' one (default: 'centroid')
+ * @property {boolean} clickShockwave - Click/tap sends an expanding shockwave ring through the particles (default: true)
+ * @property {number} shockwaveStrength - Push on the shockwave crest, per 60Hz frame (default: 1.5)
+ * @property {number} shockwaveSpeed - Shockwave expansion in pixels per second (default: 600)
+ * @property {number} shockwaveWidth - Half-width of the shockwave ring in pixels (default: 40)
+ * @property {string} interactiveSelector - Elements that trigger a particle reaction on hover or keyboard focus (default: '.header-content a, .header-content button')
+ * @property {string} interactiveReaction - Default reaction: 'fade', 'fade-near', 'repel', 'outline', 'none'; override per element with data-ambient-reaction (default: 'fade')
+ * @property {number} interactiveRadius - Reach of 'fade-near' and 'repel' beyond the element's box; override with data-ambient-radius (default: 120)
+ * @property {number} interactiveForce - Push at the element's edge in 'repel', per 60Hz frame (default: 1)
+ * @property {HTMLElement|string|null} observeRoot - Element (or selector) watched for interactive elements and obstacles added later (default: null = the canvas's parent)
+ * @property {string|null} obstacleSelector - Elements particles and the logo steer around, e.g. '.hero h1, .hero .cta'; see also addObstacle() (default: null)
+ * @property {number} obstaclePadding - Clearance around each obstacle's box in pixels (default: 16)
+ * @property {number} obstacleMargin - Distance beyond the padding where the push starts; also the logo's clearance (default: 40)
+ * @property {number} obstacleForce - Push at an obstacle's edge, per 60Hz frame (default: 1.5)
+ * @property {number} obstacleCellSize - Spacing of the obstacle distance field in pixels (default: 16)
+ * @property {string} idleMotion - Motion of particles without a logo: 'breathe' in place or 'flow' along the curl of the contour noise, wrapping at the edges (default: 'breathe')
+ * @property {number} flowSpeed - Drift speed in 'flow', in pixels per 60Hz frame per unit of field slope (default: 0.3)
+ * @property {boolean} contourDeform - Pointers and click ripples bend the contour field (default: false)
+ * @property {number} contourDeformStrength - Height of the pointer bump in noise units; negative dents (default: 0.5)
+ * @property {number} contourDeformRadius - Reach of the pointer bump in pixels (default: 120)
+ * @property {number} contourDeformDecay - Time constant of the pointer trail in milliseconds (default: 600)
+ * @property {number} separationRadius - Particles closer than this push apart, in pixels; 0 disables (default: 0)
+ * @property {number} separationStrength - Separation push at zero distance, per 60Hz frame (default: 0.3)
+ * @property {boolean} flocking - Swarm (alignment + cohesion) while scrollChoreography scatters the logo (default: false)
+ * @property {number} flockRadius - Neighbourhood for alignment and cohesion in pixels (default: 40)
+ * @property {number} alignmentStrength - Velocity matching with neighbours per 60Hz frame, 0-1 (default: 0.05)
+ * @property {number} cohesionStrength - Pull toward the neighbours' center per 60Hz frame (default: 0.005)
+ * @property {boolean} showLinks - Draw constellation lines between nearby particles, under the particles (default: false)
+ * @property {number} linkDistance - Maximum link length in pixels; alpha fades to zero at this distance (default: 60)
+ * @property {number} linkMaxPerParticle - Maximum links per particle, up to 255 (default: 3)
+ * @property {boolean} linkNearPointer - Only draw links within mouseRadius of a pointer (default: false)
+ * @property {string|null} linkColor - Link color (default: null = first particle display color)
+ * @property {number} linkWidth - Link line width in pixels (default: 1)
  * @property {string} particleSpringFeel - Spring preset: 'snappy', 'smooth', 'bouncy', 'heavy' (default: 'smooth')
  * @property {boolean} showContours - Whether to draw contour lines (default: true)
  * @property {boolean} showParticles - Whether to draw particles (default: true)
  * @property {string} backgroundColor - Canvas background color (default: '#0a0e1a')
  * @property {string} contourColor - Contour line color (default: 'rgba(255, 255, 255, 0.15)')
+ * @property {string|null} particleColor - Particle tint, keeping the logo's alpha (default: null = logo colors)
+ * @property {string} particleColorMode - 'source', 'solid', 'gradient', 'velocity' or 'field' (default: 'source')
+ * @property {string[]} particleRamp - Color ramp for the gradient, velocity and field modes; first stop doubles as the solid color (default: brand blues)
+ * @property {number} particleColorLevels - Ramp quantization steps, one render batch each (default: 8)
+ * @property {number} particleGradientAngle - Gradient direction in degrees, 0 = left to right (default: 0)
+ * @property {number} particleVelocityScale - Speed (px per 60Hz frame) at the top of the ramp in velocity mode (default: 6)
+ * @property {Object<string, string>} themeTokens - CSS custom properties read for theme colors, by config key (default: --contour-stroke, --particle-color)
+ * @property {boolean} followColorScheme - Re-read theme tokens when prefers-color-scheme changes (default: true)
+ * @property {number} themeTransition - Theme cross-fade length in milliseconds (default: 600)
+ * @property {string} contourSmoothing - Contour smoothing: 'none', 'chaikin', 'catmull-rom' (default: 'none')
+ * @property {string} contourStyle - Contour layer style: 'lines', 'bands', 'both' (default: 'lines')
+ * @property {string[]} bandPalette - Color ramp for filled bands, lowest band first (default: transparent to brand blue)
+ * @property {Array<{id: string, src: string}>} shapes - Morph targets for morphTo(); src is an SVG URL or inline SVG markup (default: [])
+ * @property {string} textFont - CSS font family for setText() (default: 'system-ui, sans-serif')
+ * @property {string|number} textWeight - Font weight for setText() (default: 700)
+ * @property {number} textSize - Font size in pixels for setText() (default: 120)
+ * @property {string} textAlign - Line alignment for setText(): 'left', 'center', 'right' (default: 'center')
+ * @property {string} textColor - Particle color for setText() (default: '#FFFFFF')
+ * @property {string|null} scrollChoreography - Scroll-out motion: 'scatter', 'stream' or null to ignore scroll (default: null)
+ * @property {string|null} scrollTarget - Selector of the element particles stream toward in 'stream' mode (default: null)
+ * @property {boolean} adaptiveQuality - Step particle count, sampling density, grid size and contour levels with fps (default: true)
+ * @property {number} targetFps - Frame rate the quality governor tries to sustain (default: 50)
+ * @property {boolean} pauseWhenHidden - Pause while the tab is hidden or the canvas is off-screen (default: true)
+ * @property {boolean} motionControl - Render a built-in pause/reduce-motion toggle over the header (default: false)
+ * @property {string|null} motionStorageKey - localStorage key remembering the motionControl toggle choice (unused without it); null disables (default: 'ambient-header-motion')
+ * @property {string} renderer - Rendering backend: 'canvas2d' or 'webgl2' (default: 'canvas2d', falls back to Canvas 2D)
+ * @property {boolean} worker - Run the simulation in a Web Worker via OffscreenCanvas (default: false, falls back to main thread)
+ * @property {number|string|null} seed - Seed for noise and particle randomness; same seed, same animation (default: null = random)
+ * @property {number} fixedTimeStep - Physics step in seconds, independent of refresh rate; at least 1/1000 (default: 1/120)
  */
 const DEFAULT_CONFIG = {
   gridSize: 40,
   octaves: 3,
   baseFrequency: 0.008,
   timeSpeed: 0.0003,
+  noiseMode: 'fbm',
+  lacunarity: 2,
+  persistence: 0.5,
+  warpStrength: 1.5,
   thresholds: [-0.5, -0.2, 0.1, 0.4, 0.7],
   particleCount: 500,
   mouseRadius: 100,
   mouseForce: 0.5,
+  interactionMode: 'repel',
+  interactionFalloff: 'inverseSquare', // quadratic/gaussian peak at 1: use a smaller mouseForce
+  clickShockwave: true,
+  shockwaveStrength: 1.5,
+  shockwaveSpeed: 600,
+  shockwaveWidth: 40,
+  // Interactive elements (links, buttons) over the canvas
+  interactiveSelector: '.header-content a, .header-content button',
+  interactiveReaction: 'fade',
+  interactiveRadius: 120,
+  interactiveForce: 1,
+  observeRoot: null,             // e.g. '.site-header'; DOM changes outside it are ignored
+  // Neighbour behaviours (spatial hash; cost scales with local density)
+  separationRadius: 0,           // e.g. 6 to stop scattered particles clumping
+  separationStrength: 0.3,
+  flocking: false,
+  flockRadius: 40,
+  alignmentStrength: 0.05,
+  cohesionStrength: 0.005,
+  // Constellation links ("network" look)
+  showLinks: false,
+  linkDistance: 60,
+  linkMaxPerParticle: 3,
+  linkNearPointer: false,
+  linkColor: null,
+  linkWidth: 1,
+  // Contour deformation by pointers and shockwaves
+  contourDeform: false,
+  contourDeformStrength: 0.5,
+  contourDeformRadius: 120,
+  contourDeformDecay: 600,
+  // Particles without a logo
+  idleMotion: 'breathe',         // 'flow' drifts along the contour field (starfield look)
+  flowSpeed: 0.3,
+  // Obstacles (copy the particles and logo keep clear of)
+  obstacleSelector: null,
+  obstaclePadding: 16,
+  obstacleMargin: 40,
+  obstacleForce: 1.5,
+  obstacleCellSize: 16,
   particleSpringFeel: 'smooth',
   showContours: true,
   showParticles: true,
   backgroundColor: '#0a0e1a',
   contourColor: 'rgba(255, 255, 255, 0.15)',
+  particleColor: null,
+  particleColorMode: 'source',
+  particleRamp: ['#019EFF', '#B8E6FF'],
+  particleColorLevels: 8,        // Quantized so particles render in a few batches
+  particleGradientAngle: 0,
+  particleVelocityScale: 6,
+  // Theme (CSS custom properties on the canvas or its ancestors win over defaults)
+  themeTokens: {
+    contourColor: '--contour-stroke',
+    particleColor: '--particle-color',
+  },
+  followColorScheme: true,
+  themeTransition: 600,
+  contourSmoothing: 'none',
+  contourStyle: 'lines',
+  bandPalette: ['rgba(1, 158, 255, 0.03)', 'rgba(1, 158, 255, 0.18)'],
   logoSvgUrl: null,
   useSamplingDensity: 2,
   alphaThreshold: 128,
+  shapes: [],                    // Extra shapes to morphTo(); logoSvgUrl is registered as 'logo'
+  // Text targets (setText)
+  textFont: 'system-ui, sans-serif',
+  textWeight: 700,
+  textSize: 120,
+  textAlign: 'center',
+  textColor: '#FFFFFF',
+  // Scroll choreography (scrubbed by scroll position)
+  scrollChoreography: null,      // 'scatter' | 'stream'; null ignores scroll
+  scrollTarget: null,            // Selector for 'stream' mode
   // Logo following behavior
   logoSpringStrength: 0.015,    // How quickly logo follows mouse
   logoFriction: 0.93,            // Logo movement damping
   enableLogoFollow: true,        // Toggle feature on/off
+  logoFollowTarget: 'centroid',  // Multi-touch: 'centroid' | 'latest'
+  // Accessibility
+  motionControl: false,          // Built-in pause/reduce-motion button
+  motionStorageKey: 'ambient-header-motion',
+  // Power management
+  adaptiveQuality: true,         // Trade detail for frame rate on slow devices
+  targetFps: 50,
+  pauseWhenHidden: true,         // Hidden tab or off-screen canvas
+  renderer: 'canvas2d',          // 'webgl2' for dense particle counts
+  worker: false,                 // Move simulation off the main thread
+  fixedTimeStep: 1 / 120,        // Physics step (seconds); presets are tuned per 1/60s
+  seed: null,                    // Fixed seed for reproducible screenshots
 };
 
+/**
+ * Copy of the default configuration (e.g. to map attributes to config keys)
+ * @returns {AmbientConfig} Default configuration
+ */
+export function getDefaultConfig() {
+  return { ...DEFAULT_CONFIG };
+}
+
+/**
+ * Config keys only the host (DOM side) reads
+ * They never reach the scene, which may live in a worker: elements such as
+ * observeRoot can't be structured-cloned.
+ */
+const HOST_ONLY_KEYS = new Set([
+  'clickShockwave',
+  'interactiveSelector',
+  'interactiveReaction',
+  'interactiveRadius',
+  'observeRoot',
+  'obstacleSelector',
+  'backgroundColor',
+  'themeTokens',
+  'followColorScheme',
+  'themeTransition',
+  'textFont',
+  'textWeight',
+  'textSize',
+  'textAlign',
+  'textColor',
+  'scrollTarget',
+  'motionControl',
+  'motionStorageKey',
+  'adaptiveQuality',
+]);
+
+/**
+ * Copy of a config without the host-only keys
+ * @param {Partial<AmbientConfig>} options - Config or config changes
+ * @returns {Object} Options for the scene
+ */
+function sceneOptions(options) {
+  const result = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!HOST_ONLY_KEYS.has(key)) result[key] = value;
+  }
+  return result;
+}
+
+// Scratch 2D context used to normalize CSS colors (created on first use)
+let colorProbe = null;
+
+/**
+ * Normalize any CSS color to the hex/rgba() forms parseColor() understands
+ * The canvas 2D fillStyle setter does the parsing for us.
+ * @param {string} color - CSS color (named, hsl(), etc.)
+ * @returns {string} Normalized color
+ */
+function normalizeColor(color) {
+  if (!colorProbe) colorProbe = document.createElement('canvas').getContext('2d');
+
+  colorProbe.fillStyle = '#000000';
+  colorProbe.fillStyle = color;
+  return colorProbe.fillStyle;
+}
+
+/**
+ * Events a controller emits (see controller.on)
+ */
+const EVENT_TYPES = new Set([
+  'ready',            // Initial targets (logo or random fallback) are in the scene
+  'assembled',        // Particles reached their targets (after load, morphTo, setText, resize)
+  'frame',            // Every rendered frame
+  'pointerenter',
+  'pointerleave',
+  'interactivehover', // An interactive element gained or lost hover
+  'pause',            // The frame loop stopped (paused, hidden, off-screen, reduced motion)
+  'resume',           // The frame loop restarted after a pause
+  'qualitychange',    // The adaptive quality tier changed
+  'error',            // A shape, font or the worker failed to load
+]);
+
+/**
+ * Reactions an interactive element can trigger (see setInteractiveReaction in scene.js)
+ */
+const INTERACTIVE_REACTIONS = new Set(['fade', 'fade-near', 'repel', 'outline', 'none']);
+
+/**
+ * Creates a minimal event emitter for controller events
+ * A throwing listener is reported and skipped so it can't break the animation.
+ * @returns {Object} Emitter with on(type, listener), off(type, listener), has(type) and emit(type, detail)
+ */
+function createEmitter() {
+  const listeners = new Map();
+
+  return {
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+    },
+
+    off(type, listener) {
+      listeners.get(type)?.delete(listener);
+    },
+
+    has(type) {
+      return (listeners.get(type)?.size ?? 0) > 0;
+    },
+
+    emit(type, detail = {}) {
+      const current = listeners.get(type);
+      if (!current) return;
+
+      for (const listener of [...current]) {
+        try {
+          listener({ type, ...detail });
+        } catch (error) {
+          console.warn(`Ambient "${type}" listener failed:`, error);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Visually hidden but announced by screen readers
+ */
+const SCREEN_READER_ONLY = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+  'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+
+/**
+ * Creates the built-in motion toggle and its live region
+ * The button sits over the header (canvas parent) and is styled through the
+ * .ambient-motion-toggle class; only positioning is set inline.
+ *
+ * @param {HTMLElement} host - Element to render into
+ * @param {Function} onToggle - Called when the user activates the button
+ * @returns {Object} Control with update(isReduced, announce) and destroy()
+ */
+function createMotionControl(host, onToggle) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'ambient-motion-toggle';
+  button.setAttribute('part', 'motion-toggle'); // Styleable from outside <ambient-header>
+  button.style.cssText = 'position:absolute;right:16px;bottom:16px;z-index:20;';
+  button.addEventListener('click', onToggle);
+
+  const liveRegion = document.createElement('span');
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.style.cssText = SCREEN_READER_ONLY;
+
+  host.append(button, liveRegion);
+
+  return {
+    /**
+     * @param {boolean} isReduced - Whether the animation is currently off
+     * @param {boolean} announce - Whether to announce the new state
+     */
+    update(isReduced, announce = false) {
+      // The label names the action, so no aria-pressed (it would contradict it)
+      button.textContent = isReduced ? 'Play animation' : 'Pause animation';
+      button.setAttribute('aria-label', isReduced ? 'Play background animation' : 'Pause background animation');
+
+      if (announce) {
+        liveRegion.textContent = isReduced ? 'Background animation paused' : 'Background animation playing';
+      }
+    },
+
+    destroy() {
+      button.removeEventListener('click', onToggle);
+      button.remove();
+      liveRegion.remove();
+    },
+  };
+}
+
+/**
+ * Check whether the simulation can run in a worker
+ * @param {HTMLCanvasElement} canvas - Target canvas element
+ * @returns {boolean} True if OffscreenCanvas transfer and module workers are available
+ */
+function supportsWorkerScene(canvas) {
+  return typeof Worker !== 'undefined' &&
+    typeof canvas.transferControlToOffscreen === 'function';
+}
+
+/**
+ * Creates a scene proxy that runs the pipeline in a Web Worker
+ * Mirrors the createScene() API; getStats() returns the latest snapshot
+ * posted by the worker.
+ *
+ * The canvas is only transferred once the worker script has loaded. Until
+ * then calls are queued; if the script fails to load or evaluate, the proxy
+ * switches to the main-thread scene from callbacks.onFallback and replays them.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas element
+ * @param {AmbientConfig} config - Resolved configuration
+ * @param {Object} hooks - Scene hooks (must be structured-cloneable)
+ * @param {Object} callbacks - Main-thread callbacks
+ * @param {Function} callbacks.onStats - Called with each stats snapshot from the worker
+ * @param {Function} callbacks.onEvent - Called with (type, detail) for scene events and worker errors
+ * @param {Function} callbacks.onFallback - Returns a main-thread scene for the same canvas
+ * @returns {Object} Scene API
+ * @throws {DOMException} If config or hooks can't be cloned (the canvas is left untouched)
+ */
+function createWorkerScene(canvas, config, hooks, callbacks = {}) {
+  const { onStats = null, onEvent = null, onFallback } = callbacks;
+
+  // Fail while the canvas can still run on the main thread (functions, DOM nodes)
+  structuredClone({ config, hooks });
+
+  const worker = new Worker(new URL('./scene.worker.js', import.meta.url), { type: 'module' });
+
+  // Calls made before the worker loaded (null once it has loaded or failed)
+  let pending = [];
+  let fallbackScene = null;
+
+  let stats = {
+    fps: 0,
+    particleCount: 0,
+    gridCells: 0,
+    renderer: config.renderer,
+  };
+
+  /**
+   * Hands the canvas to the loaded worker and replays queued calls
+   */
+  function handleLoaded() {
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'init', canvas: offscreen, config, hooks }, [offscreen]);
+
+    for (const [method, args] of pending) {
+      worker.postMessage({ type: 'call', method, args });
+    }
+    pending = null;
+  }
+
+  /**
+   * Replaces a worker that failed to load with a main-thread scene
+   * @param {Error} error - Load or evaluation error
+   */
+  function fallBack(error) {
+    console.warn('Ambient worker failed to load, running on main thread:', error);
+    worker.terminate();
+
+    fallbackScene = onFallback();
+    for (const [method, args] of pending) {
+      fallbackScene[method](...args);
+    }
+    pending = null;
+  }
+
+  worker.addEventListener('message', ({ data }) => {
+    if (data.type === 'loaded') {
+      handleLoaded();
+    } else if (data.type === 'stats') {
+      stats = data.stats;
+      if (onStats) onStats(stats);
+    } else if (data.type === 'event' && onEvent) {
+      onEvent(data.event, data.detail);
+    }
+  });
+
+  worker.addEventListener('error', (event) => {
+    const error = new Error(event.message || 'Ambient worker failed to load');
+
+    // The canvas hasn't been transferred yet, so the main thread can take over
+    if (pending) {
+      event.preventDefault();
+      fallBack(error);
+      return;
+    }
+
+    console.warn('Ambient worker error:', event.message);
+    if (onEvent) onEvent('error', { error, source: 'worker' });
+  });
+
+  const call = method => (...args) => {
+    if (fallbackScene) {
+      fallbackScene[method](...args);
+    } else if (pending) {
+      pending.push([method, args]);
+    } else {
+      worker.postMessage({ type: 'call', method, args });
+    }
+  };
+
+  return {
+    start: call('start'),
+    stop: call('stop'),
+    resize: call('resize'),
+    setTargets: call('setTargets'),
+    morphTo: call('morphTo'),
+    pointerMove: call('pointerMove'),
+    pointerLeave: call('pointerLeave'),
+    triggerShockwave: call('triggerShockwave'),
+    setInteractiveHover: call('setInteractiveHover'),
+    setInteractiveReaction: call('setInteractiveReaction'),
+    setInteractiveRect: call('setInteractiveRect'),
+    setObstacles: call('setObstacles'),
+    setTheme: call('setTheme'),
+    setScrollProgress: call('setScrollProgress'),
+    updateConfig: call('updateConfig'),
+    setReducedMotion: call('setReducedMotion'),
+    setFrameEvents: call('setFrameEvents'),
+    renderStatic: call('renderStatic'),
+    getStats: () => (fallbackScene ? fallbackScene.getStats() : { ...stats }),
+    destroy() {
+      if (fallbackScene) {
+        fallbackScene.destroy();
+        return;
+      }
+
+      if (!pending) worker.postMessage({ type: 'call', method: 'destroy', args: [] });
+      worker.terminate();
+      pending = null;
+    },
+  };
+}
+
 /**
  * Creates and manages the ambient header animation
  * @param {HTMLCanvasElement} canvas - Target canvas element
@@ -69,463 +534,871 @@ const DEFAULT_CONFIG = {
 export function createAmbientHeader(canvas, options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
 
+  // Theme colors set with setTheme(colors); like options, they win over tokens
+  const themeOverrides = {};
+
+  /**
+   * Reads theme colors from the CSS custom properties in config.themeTokens
+   * Colors passed explicitly (as options or to setTheme) always win over tokens.
+   * @returns {Object} Theme colors found, by config key
+   */
+  function readThemeTokens() {
+    const style = getComputedStyle(canvas);
+    const colors = {};
+
+    for (const [key, property] of Object.entries(config.themeTokens ?? {})) {
+      if (options[key] !== undefined || key in themeOverrides) continue;
+
+      const value = style.getPropertyValue(property).trim();
+      if (value) colors[key] = normalizeColor(value);
+    }
+
+    return colors;
+  }
+
+  Object.assign(config, readThemeTokens());
+
+  // Controller events (see on/off)
+  const events = createEmitter();
+  let isReady = false;
+
   // State management
   let isRunning = false;
   let isPaused = false;
-  let animationId = null;
-  let time = 0;
-  let lastFrameTime = 0;
-  let fps = 0;
-  let frameCount = 0;
-  let lastFpsUpdate = 0;
-
-  // Canvas and rendering context
-  const ctx = canvas.getContext('2d', { alpha: true });
-  let dpr = window.devicePixelRatio || 1;
-  let width = 0;
-  let height = 0;
-
-  // Core systems
-  let fbm = null;
-  let noiseField = null;
-  let particles = [];
-  let cols = 0;
-  let rows = 0;
-
-  // Mouse tracking
-  const mouse = {
-    x: -1000,
-    y: -1000,
-    targetX: -1000,
-    targetY: -1000,
-    isActive: false,
-  };
+  let isLoopRunning = false;     // Whether the scene loop is currently started
+  let hasLoopRun = false;        // 'resume' only fires after a first start
+
+  // Power management: the loop also stops while hidden or off-screen
+  let isHidden = false;
+  let isOffscreen = false;
+  let intersectionObserver = null;
+
+  // Interactive elements with listeners, and the hovered/focused ones in
+  // activation order (element -> Set of 'hover' | 'focus')
+  const interactiveElements = new Set();
+  const activeElements = new Map();
+  let reactingElement = null; // Element whose reaction the scene is running
+  let mutationObserver = null;
+  let mutationFrame = null;
+
+  // Obstacles registered with addObstacle() (obstacleSelector matches are added
+  // at measurement time); re-measured on resize, scroll and element resize
+  const obstacleElements = new Set();
+  const observedObstacles = new Set();
+  let obstacleResizeObserver = null;
+  let obstacleFrame = null;
+
+  // Accessibility: reduced motion follows the OS setting live, unless the
+  // user made an explicit choice with the motion toggle ('reduced' | 'full')
+  const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  let motionChoice = readMotionChoice();
+  let prefersReducedMotion = motionChoice ? motionChoice === 'reduced' : motionQuery.matches;
+  let motionControl = null;
 
-  // Logo state (for smooth mouse following)
-  const logoState = {
-    centerX: 0,          // Current logo center position
-    centerY: 0,
-    targetCenterX: 0,    // Where logo wants to be (mouse or canvas center)
-    targetCenterY: 0,
-    velocityX: 0,        // Logo's own velocity for spring physics
-    velocityY: 0,
-    initialCenterX: 0,   // Original center position (canvas center)
-    initialCenterY: 0,
-    springStrength: config.logoSpringStrength,  // From config
-    friction: config.logoFriction,              // From config
-    isFollowingMouse: false
-  };
+  /**
+   * Reads the remembered motion toggle choice
+   * Ignored without the toggle: a stale choice would override the OS setting
+   * with no control on the page to undo it.
+   * @returns {string|null} 'reduced', 'full' or null if none
+   */
+  function readMotionChoice() {
+    if (!config.motionControl || !config.motionStorageKey) return null;
+    try {
+      const value = localStorage.getItem(config.motionStorageKey);
+      return value === 'reduced' || value === 'full' ? value : null;
+    } catch {
+      // Storage can be unavailable (privacy modes, sandboxed iframes)
+      return null;
+    }
+  }
+
+  // Adaptive quality: the scene sees the user's config scaled by the current tier
+  const governor = createQualityGovernor({
+    targetFps: config.targetFps,
+    onChange: handleQualityChange,
+  });
+  let qualitySettings = resolveQuality(config, governor.tier);
+
+  /**
+   * Feeds per-second stats to the quality governor
+   * @param {Object} stats - Scene stats snapshot
+   */
+  function handleStats(stats) {
+    if (config.adaptiveQuality && isLoopActive()) governor.sample(stats.fps);
+  }
+
+  /**
+   * Applies a new quality tier and reports it
+   * @param {number} tier - New tier index
+   */
+  function handleQualityChange(tier) {
+    syncQuality();
+    events.emit('qualitychange', { quality: governor.name, tier });
+  }
+
+  /**
+   * Forwards scene events, adding what only the orchestrator knows
+   * @param {string} type - 'assembled' or 'frame'
+   * @param {Object} detail - Event detail from the scene
+   */
+  function handleSceneEvent(type, detail) {
+    if (type === 'assembled') {
+      events.emit(type, { ...detail, shape: currentShape, text: currentText ? currentText[0] : null });
+    } else {
+      events.emit(type, detail);
+    }
+  }
+
+  /**
+   * Reports a failure to listeners (warnings are logged by the caller)
+   * @param {Error} error - What went wrong
+   * @param {string} source - 'shape', 'font' or 'worker'
+   */
+  function reportError(error, source) {
+    events.emit('error', { error, source });
+  }
+
+  /**
+   * Emits 'ready' once, when the first targets reach the scene
+   * @param {boolean} isFallback - Whether random positions replaced a failed shape
+   */
+  function announceReady(isFallback = false) {
+    if (isReady) return;
+
+    isReady = true;
+    events.emit('ready', { shape: isFallback ? null : currentShape, fallback: isFallback });
+  }
+
+  // Simulation pipeline (main thread or worker)
+  const hooks = { prefersReducedMotion };
+  const sceneConfig = { ...sceneOptions(config), ...qualitySettings };
+  let scene = null;
+  let isWorker = false;
+
+  /**
+   * Creates the scene on the main thread
+   * Also used when the worker script fails to load.
+   * @returns {Object} Scene API
+   */
+  function createMainThreadScene() {
+    isWorker = false;
+    return createScene(canvas, sceneConfig, {
+      ...hooks,
+      onStats: handleStats,
+      onEvent: handleSceneEvent,
+    });
+  }
+
+  if (config.worker && supportsWorkerScene(canvas)) {
+    try {
+      scene = createWorkerScene(canvas, sceneConfig, hooks, {
+        onStats: handleStats,
+        onEvent: handleSceneEvent,
+        onFallback: createMainThreadScene,
+      });
+      isWorker = true;
+    } catch (error) {
+      console.warn('Failed to start ambient worker, running on main thread:', error);
+    }
+  }
 
-  // Accessibility: Check for reduced motion preference
-  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (!scene) scene = createMainThreadScene();
+
+  // Shape sources by id; the logo is the initial shape when set
+  const shapeSources = new Map();
+  if (config.logoSvgUrl) shapeSources.set('logo', config.logoSvgUrl);
+  for (const { id, src } of config.shapes) shapeSources.set(id, src);
+
+  let currentShape = config.logoSvgUrl ? 'logo' : (config.shapes[0]?.id ?? null);
+
+  // Arguments of the last setText() call (null while showing a shape)
+  let currentText = null;
+
+  // Sampled target positions per shape id and sampling density (shared across resizes)
+  const shapePromises = new Map();
+  let logoPromise = null;
+
+  // Bumped on every shape change so a slow load can't override a newer one
+  let shapeRequest = 0;
 
   /**
-   * Sets up canvas with proper DPI scaling
+   * Measures the canvas and resizes the scene with proper DPI scaling
    */
   function setupCanvas() {
-    dpr = window.devicePixelRatio || 1;
+    const dpr = window.devicePixelRatio || 1;
 
     // Get CSS dimensions
     const rect = canvas.getBoundingClientRect();
-    width = rect.width;
-    height = rect.height;
+    scene.resize(rect.width, rect.height, dpr);
 
-    // Set canvas buffer size (accounting for DPI)
-    canvas.width = width * dpr;
-    canvas.height = height * dpr;
+    measureObstacles();
+    if (reactingElement) scene.setInteractiveRect(measureInteractiveElement(reactingElement));
+  }
 
-    // Scale context to match DPI
-    ctx.scale(dpr, dpr);
+  /**
+   * Hands the obstacles' current bounds (in canvas space) to the scene
+   */
+  function measureObstacles() {
+    obstacleFrame = null;
+
+    const elements = new Set(obstacleElements);
+    if (config.obstacleSelector) {
+      for (const element of document.querySelectorAll(config.obstacleSelector)) {
+        elements.add(element);
+      }
+    }
+
+    const rects = [];
+    for (const element of elements) {
+      // Track size changes (text reflow, web fonts) while the animation runs
+      if (obstacleResizeObserver && !observedObstacles.has(element)) {
+        obstacleResizeObserver.observe(element);
+        observedObstacles.add(element);
+      }
 
-    // Set rendering optimizations
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
+      const box = element.getBoundingClientRect();
+      if (box.width === 0 || box.height === 0) continue; // Hidden
+
+      const { x, y } = toCanvasPoint(box.left, box.top);
+      rects.push({ left: x, top: y, right: x + box.width, bottom: y + box.height });
+    }
+
+    scene.setObstacles(rects);
   }
 
   /**
-   * Initializes all animation systems
+   * Re-measures obstacles and the reacting interactive element on the next
+   * frame (coalesces scroll and resize bursts)
    */
-  function initializeSystems() {
-    // Create FBM noise generator with random seed
-    fbm = createFBM();
+  function scheduleObstacleUpdate() {
+    if (obstacleFrame !== null) return;
+    if (obstacleElements.size === 0 && !config.obstacleSelector && !reactingElement) return;
 
-    // Calculate grid dimensions for marching squares
-    cols = Math.ceil(width / config.gridSize) + 1;
-    rows = Math.ceil(height / config.gridSize) + 1;
+    obstacleFrame = requestAnimationFrame(measureLayout);
+  }
 
-    // Initialize noise field
-    noiseField = new Float32Array(cols * rows);
+  /**
+   * Hands current element bounds to the scene
+   */
+  function measureLayout() {
+    obstacleFrame = null;
 
-    // Initialize logo center position
-    initializeLogoState();
+    if (obstacleElements.size > 0 || config.obstacleSelector) measureObstacles();
+    if (reactingElement) scene.setInteractiveRect(measureInteractiveElement(reactingElement));
+  }
 
-    // Initialize particles
-    const physicsConfig = getSpringPreset(config.particleSpringFeel);
+  /**
+   * Registers an element particles and the logo should steer around
+   * @param {Element} element - Obstacle element (e.g. the headline)
+   */
+  function addObstacle(element) {
+    obstacleElements.add(element);
+    measureObstacles();
+  }
 
-    if (config.logoSvgUrl) {
-      // Load logo and extract particle positions
-      loadLogoAndInitParticles(physicsConfig);
-    } else {
-      // Create particles at random positions
-      const targetPositions = [];
-      for (let i = 0; i < config.particleCount; i++) {
-        targetPositions.push({
-          x: Math.random() * width,
-          y: Math.random() * height,
-          color: 'rgba(255, 255, 255, 0.8)'
-        });
-      }
-      particles = initializeParticles(targetPositions, { width, height }, physicsConfig);
+  /**
+   * Unregisters an obstacle added with addObstacle()
+   * @param {Element} element - Obstacle element
+   */
+  function removeObstacle(element) {
+    obstacleElements.delete(element);
+    if (obstacleResizeObserver && observedObstacles.delete(element)) {
+      obstacleResizeObserver.unobserve(element);
     }
+    measureObstacles();
   }
 
   /**
-   * Load logo SVG and extract particle target positions
-   * @param {Object} physicsConfig - Spring physics parameters
+   * Load a shape's SVG and sample its particle target positions
+   * SVG decoding needs the DOM, so this always runs on the main thread.
+   * @param {string} id - Shape id
+   * @returns {Promise<Array<{x: number, y: number, color: string}>>} Target positions
    */
-  async function loadLogoAndInitParticles(physicsConfig) {
-    try {
-      const response = await fetch(config.logoSvgUrl);
-      const svgText = await response.text();
-      const parser = new DOMParser();
-      const svgDoc = parser.parseFromString(svgText, 'image/svg+xml');
-
-      // Create off-screen canvas to render SVG
-      const logoCanvas = document.createElement('canvas');
-      logoCanvas.width = width;
-      logoCanvas.height = height;
-      const logoCtx = logoCanvas.getContext('2d');
+  function loadShape(id) {
+    const density = qualitySettings.useSamplingDensity;
+    const key = `${id}@${density}`;
+    if (shapePromises.has(key)) return shapePromises.get(key);
+
+    const promise = (async () => {
+      const src = shapeSources.get(id);
+
+      // Inline markup is used as-is; anything else is fetched as a URL
+      let svgText = src.trim();
+      if (!svgText.startsWith('<')) {
+        const response = await fetch(src);
+        svgText = await response.text();
+      }
 
       // Create image from SVG
       const img = new Image();
-      img.onload = () => {
-        logoCtx.drawImage(img, 0, 0, width, height);
-
-        // Extract particle positions from image
-        const targetPositions = extractParticlePositions(
-          img,
-          config.useSamplingDensity,
-          config.alphaThreshold
-        );
-
-        // Initialize particles at random positions, spring toward logo
-        particles = initializeParticles(
-          targetPositions.length > 0 ? targetPositions : createRandomPositions(),
-          { width, height },
-          physicsConfig
-        );
-      };
-
       img.src = 'data:image/svg+xml;base64,' + btoa(svgText);
-    } catch (error) {
-      console.warn('Failed to load logo, using random particle positions:', error);
-      // Fallback to random positions
-      const targetPositions = createRandomPositions();
-      particles = initializeParticles(targetPositions, { width, height }, physicsConfig);
-    }
+      await img.decode();
+
+      // Extract particle positions from image
+      return extractParticlePositions(
+        img,
+        density,
+        config.alphaThreshold
+      );
+    })();
+
+    // Allow a retry after a failed load
+    promise.catch(() => shapePromises.delete(key));
+    shapePromises.set(key, promise);
+
+    return promise;
   }
 
   /**
-   * Create random particle target positions as fallback
-   * @returns {Array} Array of {x, y, color} objects
+   * Load the initial shape and hand its target positions to the scene
+   * Resolves immediately once a shape or text is in the scene, so static
+   * re-renders keep whatever morphTo() or setText() applied last.
+   * @returns {Promise<boolean>} Resolves true once targets are set
    */
-  function createRandomPositions() {
-    const positions = [];
-    for (let i = 0; i < config.particleCount; i++) {
-      positions.push({
-        x: Math.random() * width,
-        y: Math.random() * height,
-        color: 'rgba(255, 255, 255, 0.8)'
+  function loadLogo() {
+    if (logoPromise) return logoPromise;
+
+    // setText() is still loading its font; it renders once applied
+    if (currentText) return Promise.resolve(false);
+
+    if (!currentShape) {
+      // Random positions are in place as soon as the canvas is sized
+      return Promise.resolve(false).then(hasLogo => {
+        announceReady();
+        return hasLogo;
       });
     }
-    return positions;
+
+    const request = shapeRequest;
+
+    logoPromise = (async () => {
+      try {
+        // Empty targets fall back to random positions
+        const targetPositions = await loadShape(currentShape);
+        if (request === shapeRequest) {
+          scene.setTargets(targetPositions);
+          announceReady();
+        }
+      } catch (error) {
+        console.warn('Failed to load logo, using random particle positions:', error);
+        reportError(error, 'shape');
+        // Fallback to random positions
+        if (request === shapeRequest) {
+          scene.setTargets([]);
+          announceReady(true);
+        }
+      }
+      return true;
+    })();
+
+    return logoPromise;
   }
 
   /**
-   * Initialize logo center position to canvas center
+   * Morphs the particles into another shape
+   * Particles spring from their current positions to the nearest points of
+   * the new shape; extras fade in or out when the sample counts differ.
+   * @param {string} shapeId - Id from config.shapes, or 'logo' for logoSvgUrl
+   * @returns {Promise<boolean>} Resolves true if the morph was applied
    */
-  function initializeLogoState() {
-    logoState.centerX = width / 2;
-    logoState.centerY = height / 2;
-    logoState.targetCenterX = width / 2;
-    logoState.targetCenterY = height / 2;
-    logoState.initialCenterX = width / 2;
-    logoState.initialCenterY = height / 2;
-    logoState.velocityX = 0;
-    logoState.velocityY = 0;
-    logoState.isFollowingMouse = false;
+  async function morphTo(shapeId) {
+    if (!shapeSources.has(shapeId)) {
+      console.warn(`Unknown ambient shape "${shapeId}"`);
+      return false;
+    }
+
+    const request = ++shapeRequest;
+    currentShape = shapeId;
+    currentText = null;
+
+    let targetPositions;
+    try {
+      targetPositions = await loadShape(shapeId);
+    } catch (error) {
+      console.warn(`Failed to load shape "${shapeId}":`, error);
+      reportError(error, 'shape');
+      return false;
+    }
+
+    // A newer morphTo() (or destroy) superseded this one while loading
+    if (request !== shapeRequest) return false;
+
+    applyTargets(targetPositions);
+    return true;
   }
 
   /**
-   * Updates noise field for contour generation
-   * @param {number} currentTime - Current animation time
+   * Re-targets the particles to spell out text
+   * Uses the same sampling density and alpha threshold as SVG shapes.
+   * @param {string} text - Text to spell; '\n' starts a new line
+   * @param {Object} options - Overrides for textFont, textWeight, textSize, textAlign, textColor
+   * @param {string} options.font - CSS font family
+   * @param {string|number} options.weight - CSS font weight
+   * @param {number} options.size - Font size in pixels
+   * @param {string} options.align - 'left', 'center', 'right'
+   * @param {string} options.color - Particle color
+   * @returns {Promise<boolean>} Resolves true if the text was applied
    */
-  function updateNoiseField(currentTime) {
-    for (let j = 0; j < rows; j++) {
-      for (let i = 0; i < cols; i++) {
-        const x = i * config.gridSize;
-        const y = j * config.gridSize;
-        const index = j * cols + i;
+  async function setText(text, options = {}) {
+    const textOptions = {
+      font: config.textFont,
+      weight: config.textWeight,
+      size: config.textSize,
+      align: config.textAlign,
+      color: config.textColor,
+      ...options,
+    };
 
-        // Sample noise with time offset
-        noiseField[index] = fbm(
-          x * config.baseFrequency,
-          y * config.baseFrequency,
-          {
-            octaves: config.octaves,
-            frequency: 1,
-            lacunarity: 2,
-            persistence: 0.5
-          }
-        );
+    const request = ++shapeRequest;
+    currentShape = null;
+    currentText = [text, options];
+
+    // Web fonts must be loaded before they can be rasterized
+    if (document.fonts) {
+      try {
+        await document.fonts.load(`${textOptions.weight} ${textOptions.size}px ${textOptions.font}`, text);
+      } catch (error) {
+        console.warn('Failed to load font, using fallback:', error);
+        reportError(error, 'font');
       }
     }
+
+    if (request !== shapeRequest) return false;
+
+    const targetPositions = extractParticlePositions(
+      createTextImage(text, textOptions),
+      qualitySettings.useSamplingDensity,
+      config.alphaThreshold
+    );
+
+    applyTargets(targetPositions);
+    return true;
   }
 
   /**
-   * Updates mouse position (simple follow, no spring)
+   * Pushes quality-dependent settings that changed to the scene
+   * Called on tier changes and config updates. A new sampling density re-samples the current shape or text and morphs
+   * the particles onto it.
    */
-  function updateMouse() {
-    // Mouse position is updated in real-time via event handlers
-    // No smoothing needed - direct movement is more responsive
+  function syncQuality() {
+    const next = resolveQuality(config, config.adaptiveQuality ? governor.tier : 0);
+    const changed = {};
+
+    for (const key of ['particleCount', 'gridSize']) {
+      if (next[key] !== qualitySettings[key]) changed[key] = next[key];
+    }
+    if (next.thresholds.join() !== qualitySettings.thresholds.join()) {
+      changed.thresholds = next.thresholds;
+    }
+
+    const densityChanged = next.useSamplingDensity !== qualitySettings.useSamplingDensity;
+    qualitySettings = next;
+
+    if (Object.keys(changed).length > 0) scene.updateConfig(changed);
+
+    if (densityChanged) {
+      if (currentText) {
+        setText(...currentText);
+      } else if (currentShape && logoPromise) {
+        morphTo(currentShape);
+      }
+    }
   }
 
   /**
-   * Renders contour lines using marching squares
+   * Switches theme colors with a cross-fade
+   * Call without arguments after toggling your own theme (e.g. a data-theme
+   * attribute) to re-read the CSS theme tokens. Colors passed explicitly stay
+   * in effect over later token reads (including color-scheme changes).
+   * @param {Object} colors - Theme colors (default: read from CSS tokens)
+   * @param {string} colors.contourColor - Isoline color
+   * @param {string|null} colors.particleColor - Particle tint (null = logo colors)
    */
-  function renderContours() {
-    if (!config.showContours) return;
+  function setTheme(colors = null) {
+    if (colors) Object.assign(themeOverrides, colors);
 
-    ctx.strokeStyle = config.contourColor;
-    ctx.lineWidth = 1;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
+    const next = {};
+    for (const [key, value] of Object.entries(colors ?? readThemeTokens())) {
+      next[key] = value === null ? null : normalizeColor(value);
+    }
 
-    renderMultiContours(
-      ctx,
-      noiseField,
-      cols,
-      rows,
-      config.gridSize,
-      config.thresholds,
-      config.contourColor,
-      1
-    );
+    Object.assign(config, next);
+    scene.setTheme(next, prefersReducedMotion ? 0 : config.themeTransition);
+
+    // Static rendering has no loop to pick the change up
+    if (prefersReducedMotion && logoPromise) {
+      logoPromise.then(hasLogo => {
+        if (hasLogo) scene.renderStatic();
+      });
+    }
   }
 
   /**
-   * Update logo center position using spring physics
+   * Follows prefers-color-scheme changes
    */
-  function updateLogoPosition() {
-    // Calculate displacement from target
-    const dx = logoState.targetCenterX - logoState.centerX;
-    const dy = logoState.targetCenterY - logoState.centerY;
+  function handleColorSchemeChange() {
+    setTheme();
+  }
 
-    // Apply spring force
-    const forceX = dx * logoState.springStrength;
-    const forceY = dy * logoState.springStrength;
+  /**
+   * Hands new target positions to the scene
+   * Animated scenes morph the existing particles; static rendering just swaps.
+   * Also announces 'ready' when a shape or text arrives before the logo does.
+   * @param {Array<{x: number, y: number, color: string}>} targetPositions - Target positions
+   */
+  function applyTargets(targetPositions) {
+    // The scene holds targets from now on (static re-renders wait on this)
+    logoPromise = Promise.resolve(true);
 
-    // Update velocity
-    logoState.velocityX += forceX;
-    logoState.velocityY += forceY;
+    if (prefersReducedMotion) {
+      scene.setTargets(targetPositions);
+      scene.renderStatic();
+    } else {
+      scene.morphTo(targetPositions);
+    }
 
-    // Apply friction
-    logoState.velocityX *= logoState.friction;
-    logoState.velocityY *= logoState.friction;
+    announceReady();
+  }
 
-    // Update position
-    logoState.centerX += logoState.velocityX;
-    logoState.centerY += logoState.velocityY;
+  /**
+   * Converts a client-space point to canvas CSS pixels
+   * @param {number} clientX - Client x coordinate
+   * @param {number} clientY - Client y coordinate
+   * @returns {{x: number, y: number}} Canvas-relative point
+   */
+  function toCanvasPoint(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
   }
 
   /**
-   * Update all particle target positions based on logo center
+   * Handles window resize with debouncing
    */
-  function updateParticleTargets() {
-    for (const particle of particles) {
-      // New target = current logo center + particle's offset from centroid
-      particle.targetX = logoState.centerX + particle.offsetX;
-      particle.targetY = logoState.centerY + particle.offsetY;
-    }
+  let resizeTimeout = null;
+  function handleResize() {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(setupCanvas, 250);
   }
 
   /**
-   * Main animation loop with fixed timestep
-   * @param {DOMHighResTimeStamp} currentTime - Current timestamp from RAF
+   * Handles pointer movement (mouse, touch and pen alike)
+   * Each pointer id gets its own force field in the scene.
+   * @param {PointerEvent} event - Pointer event
    */
-  function animate(currentTime) {
-    if (!isRunning || isPaused) return;
+  function handlePointerMove(event) {
+    const { x, y } = toCanvasPoint(event.clientX, event.clientY);
 
-    // Calculate delta time (cap at 100ms to prevent spiral of death)
-    const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, 0.1);
-    lastFrameTime = currentTime;
+    // Only pens report meaningful pressure; mouse and touch stay neutral
+    const pressure = event.pointerType === 'pen' ? event.pressure : 0.5;
+    scene.pointerMove(x, y, event.pointerId, pressure);
+  }
 
-    // Update FPS counter
-    frameCount++;
-    if (currentTime - lastFpsUpdate > 1000) {
-      fps = frameCount;
-      frameCount = 0;
-      lastFpsUpdate = currentTime;
+  /**
+   * Handles a pointer going away (finger lifted, mouse left, cancelled)
+   * @param {PointerEvent} event - Pointer event
+   */
+  function handlePointerEnd(event) {
+    if (event.type === 'pointerleave') {
+      events.emit('pointerleave', { pointerId: event.pointerId, pointerType: event.pointerType });
     }
 
-    // Update animation time
-    const timeStep = prefersReducedMotion ? 0 : config.timeSpeed;
-    time += deltaTime * timeStep;
+    // A mouse keeps hovering after its button is released
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+
+    scene.pointerLeave(event.pointerId);
+  }
+
+  /**
+   * Reports a pointer entering the canvas
+   * @param {PointerEvent} event - Pointer event
+   */
+  function handlePointerEnter(event) {
+    events.emit('pointerenter', {
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      ...toCanvasPoint(event.clientX, event.clientY),
+    });
+  }
+
+  /**
+   * Sends a shockwave from a click or tap
+   * @param {MouseEvent} event - Click event
+   */
+  function handleClick(event) {
+    if (!config.clickShockwave) return;
 
-    // Update systems
-    updateMouse();
-    updateNoiseField(time);
+    const { x, y } = toCanvasPoint(event.clientX, event.clientY);
+    scene.triggerShockwave(x, y);
+  }
 
-    // Update logo center position with spring physics
-    updateLogoPosition();
+  /**
+   * Scrubs the scroll choreography to a progress value
+   * Called automatically on scroll when scrollChoreography is set; call it
+   * directly to drive the choreography from your own scroll library.
+   * @param {number} progress - 0 (header in view, assembled) to 1 (scrolled out)
+   */
+  function setScrollProgress(progress) {
+    let target = null;
+
+    if (config.scrollTarget) {
+      const element = document.querySelector(config.scrollTarget);
+      if (element) {
+        const rect = element.getBoundingClientRect();
+        target = toCanvasPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      }
+    }
 
-    // Translate all particle targets based on logo center
-    updateParticleTargets();
+    scene.setScrollProgress(progress, target);
+  }
 
-    // Build mouse state for particle interaction
-    const mouseState = mouse.isActive ? {
-      active: true,
-      x: mouse.x,
-      y: mouse.y,
-      radius: config.mouseRadius,
-      strength: config.mouseForce
-    } : null;
+  /**
+   * Maps the canvas' scroll position to choreography progress
+   * Progress reaches 1 once the canvas has scrolled fully out of view.
+   */
+  function handleScroll() {
+    const rect = canvas.getBoundingClientRect();
+    if (rect.height === 0) return;
 
-    // Update particles with spring physics (they'll now spring toward moving targets)
-    updateParticles(particles, time, mouseState);
+    setScrollProgress(Math.max(0, Math.min(1, -rect.top / rect.height)));
+  }
 
-    // Render
-    renderFrame();
+  /**
+   * Follows scroll while scrollChoreography is set
+   */
+  function syncScrollListener() {
+    if (config.scrollChoreography) {
+      window.addEventListener('scroll', handleScroll, { passive: true });
+      handleScroll();
+    } else {
+      window.removeEventListener('scroll', handleScroll);
+    }
+  }
 
-    // Continue animation loop
-    animationId = requestAnimationFrame(animate);
+  /**
+   * Whether the frame loop should be running right now
+   * @returns {boolean} True if started, not paused, visible and on-screen
+   */
+  function isLoopActive() {
+    return isRunning && !isPaused && !isHidden && !isOffscreen;
   }
 
   /**
-   * Renders a complete frame
+   * Starts or stops the scene loop to match the current state
    */
-  function renderFrame() {
-    // Clear canvas (transparent to show background image)
-    ctx.clearRect(0, 0, width, height);
+  function syncLoop() {
+    const isActive = isLoopActive();
+
+    if (isActive) {
+      // The first second after (re)starting is not representative
+      governor.hold();
+      scene.start();
+    } else {
+      scene.stop();
+    }
 
-    // Draw contours first (background layer)
-    renderContours();
+    if (isActive === isLoopRunning) return;
+    isLoopRunning = isActive;
 
-    // Draw particles on top
-    if (config.showParticles && particles.length > 0) {
-      renderParticles(ctx, particles);
+    if (isActive) {
+      if (hasLoopRun) events.emit('resume');
+      hasLoopRun = true;
+    } else {
+      events.emit('pause', { reason: pauseReason() });
     }
   }
 
   /**
-   * Handles window resize with debouncing
+   * Why the loop is not running
+   * @returns {string} 'paused', 'hidden', 'offscreen', 'reducedMotion' or 'stopped'
    */
-  let resizeTimeout = null;
-  function handleResize() {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      setupCanvas();
-
-      // Recalculate logo initial center position
-      logoState.initialCenterX = width / 2;
-      logoState.initialCenterY = height / 2;
-
-      // If not following mouse, reset to new center
-      if (!logoState.isFollowingMouse) {
-        logoState.centerX = width / 2;
-        logoState.centerY = height / 2;
-        logoState.targetCenterX = width / 2;
-        logoState.targetCenterY = height / 2;
-      }
+  function pauseReason() {
+    if (isRunning) {
+      if (isPaused) return 'paused';
+      return isHidden ? 'hidden' : 'offscreen';
+    }
+    return prefersReducedMotion ? 'reducedMotion' : 'stopped';
+  }
 
-      initializeSystems();
-    }, 250);
+  /**
+   * Pauses while the tab is hidden
+   */
+  function handleVisibilityChange() {
+    isHidden = document.hidden;
+    syncLoop();
   }
 
   /**
-   * Handles mouse movement
-   * @param {MouseEvent} event - Mouse event
+   * Pauses while the canvas is scrolled out of view
+   * @param {IntersectionObserverEntry[]} entries - Observer entries
    */
-  function handleMouseMove(event) {
-    const rect = canvas.getBoundingClientRect();
-    mouse.targetX = event.clientX - rect.left;
-    mouse.targetY = event.clientY - rect.top;
-    mouse.x = mouse.targetX;
-    mouse.y = mouse.targetY;
-    mouse.isActive = true;
+  function handleIntersection(entries) {
+    isOffscreen = !entries[entries.length - 1].isIntersecting;
+    syncLoop();
+  }
 
-    // Set logo target to follow mouse
-    logoState.targetCenterX = mouse.x;
-    logoState.targetCenterY = mouse.y;
-    logoState.isFollowingMouse = true;
+  /**
+   * Reaction of an interactive element, from data-ambient-reaction or the config
+   * @param {HTMLElement} element - Interactive element
+   * @returns {string} Reaction name
+   */
+  function reactionFor(element) {
+    const reaction = element.dataset.ambientReaction || config.interactiveReaction;
+    if (INTERACTIVE_REACTIONS.has(reaction)) return reaction;
+
+    console.warn(`Unknown ambient reaction "${reaction}", using "fade"`);
+    return 'fade';
   }
 
   /**
-   * Handles mouse leave
+   * Hands the most recently activated element's reaction to the scene
    */
-  function handleMouseLeave() {
-    mouse.isActive = false;
-    mouse.targetX = -1000;
-    mouse.targetY = -1000;
-    mouse.x = -1000;
-    mouse.y = -1000;
+  function syncInteractiveReaction() {
+    const element = [...activeElements.keys()].pop();
+    const reaction = element ? reactionFor(element) : 'none';
+
+    if (reaction === 'none') {
+      reactingElement = null;
+      scene.setInteractiveReaction(null);
+      return;
+    }
+
+    reactingElement = element;
+    scene.setInteractiveReaction({
+      type: reaction,
+      rect: measureInteractiveElement(element),
+      radius: Number(element.dataset.ambientRadius) || config.interactiveRadius,
+    });
+  }
 
-    // Keep logo at current position (don't snap back to center)
-    logoState.isFollowingMouse = false;
+  /**
+   * Bounds of an interactive element in canvas space
+   * @param {HTMLElement} element - Interactive element
+   * @returns {{left: number, top: number, right: number, bottom: number}} Box in canvas CSS pixels
+   */
+  function measureInteractiveElement(element) {
+    const box = element.getBoundingClientRect();
+    const { x, y } = toCanvasPoint(box.left, box.top);
+    return { left: x, top: y, right: x + box.width, bottom: y + box.height };
   }
 
   /**
-   * Handles mouse entering interactive element (button, link)
+   * Marks an interactive element active or inactive for one input source
+   * @param {HTMLElement} element - Interactive element
+   * @param {string} source - 'hover' or 'focus'
+   * @param {boolean} isActive - Whether the source now activates the element
    */
-  function handleInteractiveEnter() {
-    // Fade out particles smoothly
-    for (const particle of particles) {
-      particle.targetOpacity = 0;
+  function setElementActive(element, source, isActive) {
+    const sources = activeElements.get(element) ?? new Set();
+    activeElements.delete(element);
+
+    if (isActive) {
+      sources.add(source);
+    } else {
+      sources.delete(source);
     }
+
+    // Re-inserting moves the element to the end: the newest reaction wins
+    if (sources.size > 0) activeElements.set(element, sources);
+
+    syncInteractiveReaction();
+    events.emit('interactivehover', {
+      element,
+      source,
+      isHovering: isActive,
+      reaction: element.dataset.ambientReaction || config.interactiveReaction,
+    });
+  }
+
+  /**
+   * Handles hover and keyboard focus on interactive elements (buttons, links)
+   * @param {Event} event - mouseenter, mouseleave, focus or blur
+   */
+  function handleInteractiveEvent(event) {
+    const source = event.type === 'focus' || event.type === 'blur' ? 'focus' : 'hover';
+    const isActive = event.type === 'mouseenter' || event.type === 'focus';
+    setElementActive(event.currentTarget, source, isActive);
   }
 
   /**
-   * Handles mouse leaving interactive element
+   * Adds listeners to elements matching interactiveSelector and removes them
+   * from elements that left the document or stopped matching
    */
-  function handleInteractiveLeave() {
-    // Fade particles back in
-    for (const particle of particles) {
-      particle.targetOpacity = 1.0;
+  function trackInteractiveElements() {
+    const matches = new Set(
+      config.interactiveSelector ? document.querySelectorAll(config.interactiveSelector) : []
+    );
+
+    for (const element of interactiveElements) {
+      if (!matches.has(element)) untrackInteractiveElement(element);
     }
 
-    // Return to following mouse if mouse is still in canvas
-    if (mouse.isActive) {
-      logoState.targetCenterX = mouse.x;
-      logoState.targetCenterY = mouse.y;
-      logoState.isFollowingMouse = true;
+    for (const element of matches) {
+      if (interactiveElements.has(element)) continue;
+
+      interactiveElements.add(element);
+      for (const type of ['mouseenter', 'mouseleave', 'focus', 'blur']) {
+        element.addEventListener(type, handleInteractiveEvent);
+      }
     }
   }
 
   /**
-   * Handles touch move for mobile support
-   * @param {TouchEvent} event - Touch event
+   * Picks up interactive elements and obstacles added or changed after start
+   * Bursts of mutations (e.g. class toggles) coalesce into one update per frame.
    */
-  function handleTouchMove(event) {
-    event.preventDefault();
-    const rect = canvas.getBoundingClientRect();
-    const touch = event.touches[0];
-    mouse.targetX = touch.clientX - rect.left;
-    mouse.targetY = touch.clientY - rect.top;
-    mouse.x = mouse.targetX;
-    mouse.y = mouse.targetY;
-    mouse.isActive = true;
+  function handleMutations() {
+    scheduleObstacleUpdate();
 
-    // Set logo target to follow touch
-    logoState.targetCenterX = mouse.x;
-    logoState.targetCenterY = mouse.y;
-    logoState.isFollowingMouse = true;
+    if (mutationFrame !== null) return;
+    mutationFrame = requestAnimationFrame(() => {
+      mutationFrame = null;
+      trackInteractiveElements();
+    });
   }
 
   /**
-   * Handles touch end
+   * Element whose subtree is watched for added or changed elements
+   * @returns {Node} config.observeRoot, else the canvas's parent, else the body
    */
-  function handleTouchEnd() {
-    handleMouseLeave();
+  function resolveObserveRoot() {
+    const root = typeof config.observeRoot === 'string'
+      ? document.querySelector(config.observeRoot)
+      : config.observeRoot;
+
+    if (typeof config.observeRoot === 'string' && !root) {
+      console.warn(`No element matches ambient observeRoot "${config.observeRoot}", watching the canvas's parent`);
+    }
+
+    return root ?? canvas.parentElement ?? document.body;
+  }
+
+  /**
+   * (Re)starts watching the observe root for added or changed elements
+   */
+  function observeMutations() {
+    if (typeof MutationObserver === 'undefined') return;
+
+    if (mutationObserver) mutationObserver.disconnect();
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(resolveObserveRoot(), {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'id', 'href', 'data-ambient-reaction'],
+    });
+  }
+
+  /**
+   * Removes an interactive element's listeners and ends its reaction
+   * @param {HTMLElement} element - Interactive element
+   */
+  function untrackInteractiveElement(element) {
+    interactiveElements.delete(element);
+    for (const type of ['mouseenter', 'mouseleave', 'focus', 'blur']) {
+      element.removeEventListener(type, handleInteractiveEvent);
+    }
+
+    if (activeElements.delete(element)) syncInteractiveReaction();
   }
 
   /**
@@ -536,27 +1409,48 @@ export function createAmbientHeader(canvas, options = {}) {
 
     isRunning = true;
     isPaused = false;
-    lastFrameTime = performance.now();
-    lastFpsUpdate = lastFrameTime;
+
+    if (typeof ResizeObserver !== 'undefined') {
+      obstacleResizeObserver = new ResizeObserver(scheduleObstacleUpdate);
+    }
 
     setupCanvas();
-    initializeSystems();
+    loadLogo();
 
     // Add event listeners
     window.addEventListener('resize', handleResize);
-    canvas.addEventListener('mousemove', handleMouseMove);
-    canvas.addEventListener('mouseleave', handleMouseLeave);
-    canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-    canvas.addEventListener('touchend', handleTouchEnd);
-
-    // Add hover listeners to interactive elements to hide particles
-    const interactiveElements = document.querySelectorAll('.header-content a, .header-content button');
-    interactiveElements.forEach(element => {
-      element.addEventListener('mouseenter', handleInteractiveEnter);
-      element.addEventListener('mouseleave', handleInteractiveLeave);
-    });
+    canvas.addEventListener('pointerenter', handlePointerEnter);
+    canvas.addEventListener('pointerdown', handlePointerMove);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerEnd);
+    canvas.addEventListener('pointercancel', handlePointerEnd);
+    canvas.addEventListener('pointerleave', handlePointerEnd);
+
+    canvas.addEventListener('click', handleClick);
+
+    // Touch drags interact with the particles instead of scrolling/zooming
+    canvas.style.touchAction = 'none';
 
-    animationId = requestAnimationFrame(animate);
+    syncScrollListener();
+
+    if (config.pauseWhenHidden) {
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      isHidden = document.hidden;
+
+      if (typeof IntersectionObserver !== 'undefined') {
+        intersectionObserver = new IntersectionObserver(handleIntersection);
+        intersectionObserver.observe(canvas);
+      }
+    }
+
+    // Obstacles move relative to the canvas on scroll (e.g. sticky copy)
+    window.addEventListener('scroll', scheduleObstacleUpdate, { passive: true });
+
+    // React to hover and focus on interactive elements, including ones added later
+    trackInteractiveElements();
+    observeMutations();
+
+    syncLoop();
   }
 
   /**
@@ -564,10 +1458,7 @@ export function createAmbientHeader(canvas, options = {}) {
    */
   function pause() {
     isPaused = true;
-    if (animationId) {
-      cancelAnimationFrame(animationId);
-      animationId = null;
-    }
+    syncLoop();
   }
 
   /**
@@ -577,8 +1468,7 @@ export function createAmbientHeader(canvas, options = {}) {
     if (!isRunning || !isPaused) return;
 
     isPaused = false;
-    lastFrameTime = performance.now();
-    animationId = requestAnimationFrame(animate);
+    syncLoop();
   }
 
   /**
@@ -599,95 +1489,187 @@ export function createAmbientHeader(canvas, options = {}) {
   function updateConfig(newConfig) {
     Object.assign(config, newConfig);
 
-    // Update logo spring parameters if changed
-    if (newConfig.logoSpringStrength !== undefined) {
-      logoState.springStrength = newConfig.logoSpringStrength;
+    // Quality-scaled settings reach the scene through the current tier
+    const { particleCount, gridSize, thresholds, useSamplingDensity, ...rest } = newConfig;
+    scene.updateConfig(sceneOptions(rest));
+    syncQuality();
+
+    if (newConfig.targetFps !== undefined) governor.setTargetFps(config.targetFps);
+    if (isRunning && newConfig.interactiveSelector !== undefined) trackInteractiveElements();
+    if (isRunning && newConfig.observeRoot !== undefined) observeMutations();
+    if (isRunning && newConfig.scrollChoreography !== undefined) {
+      syncScrollListener();
+      // Turning it off mid-scroll reassembles the logo
+      if (!config.scrollChoreography) setScrollProgress(0);
+    }
+    if (newConfig.obstacleSelector !== undefined) measureObstacles();
+    if (newConfig.interactiveReaction !== undefined || newConfig.interactiveRadius !== undefined) {
+      syncInteractiveReaction();
+    }
+  }
+
+  /**
+   * Stops the live animation and removes its listeners
+   * Used when switching to static rendering and on destroy.
+   */
+  function stopLive() {
+    isRunning = false;
+    clearTimeout(resizeTimeout);
+    syncLoop();
+
+    // Remove event listeners
+    window.removeEventListener('resize', handleResize);
+    window.removeEventListener('scroll', handleScroll);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    if (intersectionObserver) {
+      intersectionObserver.disconnect();
+      intersectionObserver = null;
     }
-    if (newConfig.logoFriction !== undefined) {
-      logoState.friction = newConfig.logoFriction;
+    canvas.removeEventListener('pointerenter', handlePointerEnter);
+    canvas.removeEventListener('pointerdown', handlePointerMove);
+    canvas.removeEventListener('pointermove', handlePointerMove);
+    canvas.removeEventListener('pointerup', handlePointerEnd);
+    canvas.removeEventListener('pointercancel', handlePointerEnd);
+    canvas.removeEventListener('pointerleave', handlePointerEnd);
+    canvas.style.touchAction = '';
+    canvas.removeEventListener('click', handleClick);
+
+    window.removeEventListener('scroll', scheduleObstacleUpdate);
+    cancelAnimationFrame(obstacleFrame);
+    obstacleFrame = null;
+    if (obstacleResizeObserver) {
+      obstacleResizeObserver.disconnect();
+      obstacleResizeObserver = null;
+      observedObstacles.clear();
     }
 
-    // Reinitialize if structural parameters changed
-    if (newConfig.gridSize || newConfig.particleCount || newConfig.particleSpringFeel) {
-      initializeSystems();
+    // Remove interactive element listeners
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+    }
+    cancelAnimationFrame(mutationFrame);
+    mutationFrame = null;
+    for (const element of interactiveElements) {
+      untrackInteractiveElement(element);
     }
+
+    // Drop pointers that will never receive their pointerup
+    scene.pointerLeave();
   }
 
   /**
    * Destroys the animation and cleans up resources
    */
   function destroy() {
-    isRunning = false;
+    stopLive();
+    shapeRequest++;
+
+    window.removeEventListener('resize', handleStaticResize);
+    colorSchemeQuery.removeEventListener('change', handleColorSchemeChange);
+    motionQuery.removeEventListener('change', handleMotionQueryChange);
 
-    if (animationId) {
-      cancelAnimationFrame(animationId);
-      animationId = null;
+    if (motionControl) {
+      motionControl.destroy();
+      motionControl = null;
     }
 
-    // Remove event listeners
-    window.removeEventListener('resize', handleResize);
-    canvas.removeEventListener('mousemove', handleMouseMove);
-    canvas.removeEventListener('mouseleave', handleMouseLeave);
-    canvas.removeEventListener('touchmove', handleTouchMove);
-    canvas.removeEventListener('touchend', handleTouchEnd);
+    // Stop the loop, clear canvas and release resources
+    scene.destroy();
+  }
 
-    // Remove interactive element listeners
-    const interactiveElements = document.querySelectorAll('.header-content a, .header-content button');
-    interactiveElements.forEach(element => {
-      element.removeEventListener('mouseenter', handleInteractiveEnter);
-      element.removeEventListener('mouseleave', handleInteractiveLeave);
+  /**
+   * Re-renders the static logo after a resize
+   */
+  function handleStaticResize() {
+    setupCanvas();
+    loadLogo().then(hasLogo => {
+      if (hasLogo) scene.renderStatic();
     });
-
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Clear resources
-    particles = [];
-    noiseField = null;
-    fbm = null;
   }
 
   /**
    * Render static logo when reduced motion is preferred
    */
   function renderStaticLogo() {
-    setupCanvas();
+    handleStaticResize();
 
-    // Initialize particles at their target positions (no animation)
-    const physicsConfig = getSpringPreset(config.particleSpringFeel);
-
-    if (config.logoSvgUrl) {
-      loadLogoAndInitParticles(physicsConfig).then(() => {
-        // Position particles at targets immediately
-        for (const particle of particles) {
-          particle.x = logoState.centerX + particle.offsetX;
-          particle.y = logoState.centerY + particle.offsetY;
-          particle.opacity = 1.0;
-        }
+    // Handle resize for static logo
+    window.addEventListener('resize', handleStaticResize);
+  }
 
-        // Render once (no animation loop)
-        ctx.clearRect(0, 0, width, height);
-        renderParticles(ctx, particles);
-      });
+  /**
+   * Switches between the live loop and the static logo
+   * @param {boolean} isReduced - Whether reduced motion should be in effect
+   * @param {boolean} announce - Announce the change through the live region
+   */
+  function applyReducedMotion(isReduced, announce = false) {
+    if (isReduced !== prefersReducedMotion) {
+      prefersReducedMotion = isReduced;
+      scene.setReducedMotion(isReduced);
+
+      if (isReduced) {
+        stopLive();
+        renderStaticLogo();
+      } else {
+        window.removeEventListener('resize', handleStaticResize);
+        play();
+      }
     }
 
-    // Handle resize for static logo
-    window.addEventListener('resize', () => {
-      setupCanvas();
-      if (particles.length > 0) {
-        // Re-center logo
-        logoState.centerX = width / 2;
-        logoState.centerY = height / 2;
-
-        for (const particle of particles) {
-          particle.x = logoState.centerX + particle.offsetX;
-          particle.y = logoState.centerY + particle.offsetY;
-        }
+    if (motionControl) motionControl.update(prefersReducedMotion, announce);
+  }
+
+  /**
+   * Follows OS reduced-motion changes unless the user chose explicitly
+   */
+  function handleMotionQueryChange() {
+    if (!motionChoice) applyReducedMotion(motionQuery.matches, true);
+  }
 
-        ctx.clearRect(0, 0, width, height);
-        renderParticles(ctx, particles);
+  /**
+   * Handles the built-in motion toggle; the choice is remembered
+   */
+  function toggleReducedMotion() {
+    motionChoice = prefersReducedMotion ? 'full' : 'reduced';
+
+    if (config.motionControl && config.motionStorageKey) {
+      try {
+        localStorage.setItem(config.motionStorageKey, motionChoice);
+      } catch {
+        // Not persisted; the choice still applies for this page view
       }
-    });
+    }
+
+    applyReducedMotion(motionChoice === 'reduced', true);
+  }
+
+  /**
+   * Subscribes to a controller event
+   * Listeners receive one object: { type, ...detail }.
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @param {Function} listener - Event listener
+   * @returns {Function} Unsubscribes the listener
+   */
+  function on(type, listener) {
+    if (!EVENT_TYPES.has(type)) {
+      console.warn(`Unknown ambient event "${type}"`);
+    }
+
+    events.on(type, listener);
+    if (type === 'frame') scene.setFrameEvents(true);
+
+    return () => off(type, listener);
+  }
+
+  /**
+   * Removes an event listener added with on()
+   * @param {string} type - Event type
+   * @param {Function} listener - Event listener
+   */
+  function off(type, listener) {
+    events.off(type, listener);
+    if (type === 'frame') scene.setFrameEvents(events.has('frame'));
   }
 
   /**
@@ -696,14 +1678,29 @@ export function createAmbientHeader(canvas, options = {}) {
    */
   function getStats() {
     return {
-      fps,
-      particleCount: particles.length,
-      gridCells: cols * rows,
+      ...scene.getStats(),
       isPaused,
+      isSuspended: isHidden || isOffscreen,
+      quality: config.adaptiveQuality ? governor.name : 'high',
       prefersReducedMotion,
+      worker: isWorker,
     };
   }
 
+  // Follow light/dark changes (the scheme can flip while the page is open)
+  const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  if (config.followColorScheme) {
+    colorSchemeQuery.addEventListener('change', handleColorSchemeChange);
+  }
+
+  // Follow the OS reduced-motion setting live
+  motionQuery.addEventListener('change', handleMotionQueryChange);
+
+  if (config.motionControl && canvas.parentElement) {
+    motionControl = createMotionControl(canvas.parentElement, toggleReducedMotion);
+    motionControl.update(prefersReducedMotion);
+  }
+
   // Auto-start unless user prefers reduced motion
   if (!prefersReducedMotion) {
     play();
@@ -717,11 +1714,20 @@ export function createAmbientHeader(canvas, options = {}) {
     pause,
     resume,
     togglePause,
+    morphTo,
+    setText,
+    setScrollProgress,
+    setTheme,
+    addObstacle,
+    removeObstacle,
     destroy,
     updateConfig,
     getStats,
+    on,
+    off,
     get isRunning() { return isRunning; },
     get isPaused() { return isPaused; },
+    get prefersReducedMotion() { return prefersReducedMotion; },
     get config() { return { ...config }; },
   };
 }
@@ -740,15 +1746,21 @@ export function createAmbientHeaderWithControls(canvas, controlElements = {}) {
 
   // Wire up play/pause button
   if (controlElements.playPauseButton) {
-    controlElements.playPauseButton.addEventListener('click', () => {
+    const button = controlElements.playPauseButton;
+
+    // The label names the action, so no aria-pressed (it would contradict it)
+    const updateButton = () => {
+      button.textContent = controller.isPaused ? 'Play' : 'Pause';
+      button.setAttribute('aria-label', controller.isPaused ? 'Play animation' : 'Pause animation');
+    };
+
+    button.addEventListener('click', () => {
       controller.togglePause();
-      controlElements.playPauseButton.textContent = controller.isPaused ? 'Play' : 'Pause';
-      controlElements.playPauseButton.setAttribute('aria-pressed', !controller.isPaused);
+      updateButton();
     });
 
     // Set initial state
-    controlElements.playPauseButton.setAttribute('aria-pressed', !controller.isPaused);
-    controlElements.playPauseButton.setAttribute('aria-label', 'Pause animation');
+    updateButton();
   }
 
   // Wire up sliders
@@ -0,0 +1,125 @@
+/**
+ * Color utilities
+ *
+ * Converts CSS color strings into normalized RGBA tuples for renderers that
+ * cannot consume CSS colors directly (WebGL), and blends colors along ramps.
+ * Parsed results are cached since particle colors repeat heavily.
+ */
+
+const colorCache = new Map();
+
+// Cross-fades generate many one-off colors; keep the cache bounded
+const MAX_CACHED_COLORS = 4096;
+
+/**
+ * Parse a hex color (#rgb, #rgba, #rrggbb, #rrggbbaa)
+ * @param {string} hex - Hex color without leading '#'
+ * @returns {Array<number>|null} [r, g, b, a] in 0-1 range
+ */
+function parseHex(hex) {
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (hex.length !== 6 && hex.length !== 8) return null;
+
+  const value = parseInt(hex, 16);
+  if (Number.isNaN(value)) return null;
+
+  if (hex.length === 6) {
+    return [
+      ((value >> 16) & 255) / 255,
+      ((value >> 8) & 255) / 255,
+      (value & 255) / 255,
+      1
+    ];
+  }
+
+  return [
+    ((value >>> 24) & 255) / 255,
+    ((value >> 16) & 255) / 255,
+    ((value >> 8) & 255) / 255,
+    (value & 255) / 255
+  ];
+}
+
+/**
+ * Parse a CSS color string into normalized RGBA
+ * Supports hex, rgb() and rgba(); unknown formats resolve to opaque white.
+ *
+ * @param {string} color - CSS color string
+ * @returns {Array<number>} [r, g, b, a] in 0-1 range
+ */
+export function parseColor(color) {
+  const cached = colorCache.get(color);
+  if (cached) return cached;
+
+  let rgba = null;
+  const value = String(color).trim().toLowerCase();
+
+  if (value.startsWith('#')) {
+    rgba = parseHex(value.slice(1));
+  } else {
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+      const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+      if (parts.length >= 3 && parts.every(n => !Number.isNaN(n))) {
+        rgba = [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts[3] ?? 1];
+      }
+    }
+  }
+
+  if (!rgba) rgba = [1, 1, 1, 1];
+
+  if (colorCache.size >= MAX_CACHED_COLORS) colorCache.clear();
+  colorCache.set(color, rgba);
+  return rgba;
+}
+
+/**
+ * Format normalized RGBA as a CSS rgba() string
+ * @param {Array<number>} rgba - [r, g, b, a] in 0-1 range
+ * @returns {string} CSS color string
+ */
+export function formatColor([r, g, b, a]) {
+  return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${+a.toFixed(3)})`;
+}
+
+/**
+ * Linearly blend two CSS colors
+ * @param {string} from - Start color
+ * @param {string} to - End color
+ * @param {number} t - Blend factor (0-1)
+ * @returns {string} Blended CSS color string
+ */
+export function mixColors(from, to, t) {
+  const a = parseColor(from);
+  const b = parseColor(to);
+  return formatColor(a.map((value, i) => value + (b[i] - value) * t));
+}
+
+/**
+ * Recolor with a tint, keeping the source alpha
+ * Used to theme particles sampled from an image without losing anti-aliased
+ * edges.
+ * @param {string} color - Source color
+ * @param {string} tint - Tint color (its alpha scales the source alpha)
+ * @returns {string} CSS color string
+ */
+export function tintColor(color, tint) {
+  const [r, g, b, a] = parseColor(tint);
+  return formatColor([r, g, b, a * parseColor(color)[3]]);
+}
+
+/**
+ * Sample a color ramp
+ * @param {Array<string>} colors - Ramp stops, evenly spaced
+ * @param {number} t - Position along the ramp (0-1, clamped)
+ * @returns {string} CSS color string
+ */
+export function sampleRamp(colors, t) {
+  if (colors.length === 1) return colors[0];
+
+  const position = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  return mixColors(colors[index], colors[index + 1], position - index);
+}
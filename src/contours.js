@@ -1,26 +1,44 @@
 /**
  * Marching Squares edge table
  * Defines which edges to connect for each of the 16 cases
+ * Case bits: top-left = 1, top-right = 2, bottom-right = 4, bottom-left = 8
+ * Edges: 0 = top, 1 = right, 2 = bottom, 3 = left
  */
 const EDGE_TABLE = [
   [],                     // 0: all below threshold
-  [[3, 0]],               // 1: bottom-left corner
-  [[0, 1]],               // 2: top-left corner
-  [[3, 1]],               // 3: left edge
-  [[1, 2]],               // 4: top-right corner
-  [[3, 0], [1, 2]],       // 5: saddle (ambiguous)
-  [[0, 2]],               // 6: top edge
-  [[3, 2]],               // 7: all but bottom-right
-  [[2, 3]],               // 8: bottom-right corner
-  [[2, 0]],               // 9: bottom edge
-  [[0, 1], [2, 3]],       // 10: saddle (ambiguous)
-  [[2, 1]],               // 11: all but top-left
-  [[1, 3]],               // 12: right edge
+  [[3, 0]],               // 1: top-left corner
+  [[0, 1]],               // 2: top-right corner
+  [[3, 1]],               // 3: top half
+  [[1, 2]],               // 4: bottom-right corner
+  [[3, 0], [1, 2]],       // 5: saddle, centre below (see resolveSaddle)
+  [[0, 2]],               // 6: right half
+  [[3, 2]],               // 7: all but bottom-left
+  [[2, 3]],               // 8: bottom-left corner
+  [[2, 0]],               // 9: left half
+  [[0, 1], [2, 3]],       // 10: saddle, centre below (see resolveSaddle)
+  [[2, 1]],               // 11: all but bottom-right
+  [[1, 3]],               // 12: bottom half
   [[1, 0]],               // 13: all but top-right
-  [[0, 3]],               // 14: all but bottom-left
+  [[0, 3]],               // 14: all but top-left
   [],                     // 15: all above threshold
 ];
 
+/**
+ * Resolve the ambiguous saddle cases (5 and 10) by sampling the cell centre
+ * If the centre is above the threshold the two "above" corners are joined
+ * through the middle, which is the other saddle's edge pairing.
+ * @param {number} caseIndex - Cell case (0-15)
+ * @param {number} centre - Average of the four corner values
+ * @param {number} threshold - Contour threshold
+ * @returns {Array} Edge pairs for the cell
+ */
+function resolveSaddle(caseIndex, centre, threshold) {
+  if (centre > threshold) {
+    return EDGE_TABLE[caseIndex === 5 ? 10 : 5];
+  }
+  return EDGE_TABLE[caseIndex];
+}
+
 /**
  * Linear interpolation helper
  */
@@ -63,6 +81,25 @@ function getEdgePoint(edge, x, y, size, tl, tr, br, bl, threshold) {
   }
 }
 
+/**
+ * Unique key for a cell edge, shared by the two cells on either side of it
+ * Horizontal edges (top/bottom) and vertical edges (left/right) are keyed by
+ * the grid vertex at their top-left end.
+ * @param {number} edge - Edge index (0=top, 1=right, 2=bottom, 3=left)
+ * @param {number} col - Cell column
+ * @param {number} row - Cell row
+ * @param {number} cols - Number of columns
+ * @returns {number} Edge key
+ */
+function getEdgeKey(edge, col, row, cols) {
+  switch (edge) {
+    case 0: return (row * cols + col) * 2;
+    case 1: return (row * cols + col + 1) * 2 + 1;
+    case 2: return ((row + 1) * cols + col) * 2;
+    default: return (row * cols + col) * 2 + 1;
+  }
+}
+
 /**
  * Marching Squares contour extraction
  * @param {Float32Array} field - Scalar field values
@@ -70,9 +107,10 @@ function getEdgePoint(edge, x, y, size, tl, tr, br, bl, threshold) {
  * @param {number} rows - Number of rows
  * @param {number} threshold - Contour threshold value
  * @param {number} cellSize - Size of each cell in pixels
+ * @param {Array<number>} edgeKeys - Optional output: edge key for each segment endpoint
  * @returns {Array} Array of line segments [[x1, y1], [x2, y2]]
  */
-export function marchingSquares(field, cols, rows, threshold, cellSize) {
+export function marchingSquares(field, cols, rows, threshold, cellSize, edgeKeys = null) {
   const segments = [];
 
   for (let row = 0; row < rows - 1; row++) {
@@ -88,18 +126,25 @@ export function marchingSquares(field, cols, rows, threshold, cellSize) {
 
       // Build case index (0-15)
       const caseIndex =
-        (tl > threshold ? 8 : 0) |
-        (tr > threshold ? 4 : 0) |
-        (br > threshold ? 2 : 0) |
-        (bl > threshold ? 1 : 0);
+        (tl > threshold ? 1 : 0) |
+        (tr > threshold ? 2 : 0) |
+        (br > threshold ? 4 : 0) |
+        (bl > threshold ? 8 : 0);
 
       // Extract segments for this cell
-      const edges = EDGE_TABLE[caseIndex];
+      const edges = caseIndex === 5 || caseIndex === 10
+        ? resolveSaddle(caseIndex, (tl + tr + br + bl) / 4, threshold)
+        : EDGE_TABLE[caseIndex];
+
       for (const [e1, e2] of edges) {
         segments.push([
           getEdgePoint(e1, x, y, cellSize, tl, tr, br, bl, threshold),
           getEdgePoint(e2, x, y, cellSize, tl, tr, br, bl, threshold),
         ]);
+
+        if (edgeKeys) {
+          edgeKeys.push(getEdgeKey(e1, col, row, cols), getEdgeKey(e2, col, row, cols));
+        }
       }
     }
   }
@@ -107,6 +152,329 @@ export function marchingSquares(field, cols, rows, threshold, cellSize) {
   return segments;
 }
 
+/**
+ * Chain marching-squares segments into ordered polylines
+ * Segments that share a cell edge are joined; chains that end on the grid
+ * boundary are open, chains that return to their start are closed.
+ *
+ * @param {Float32Array} field - Scalar field values
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @param {number} threshold - Contour threshold value
+ * @param {number} cellSize - Size of each cell in pixels
+ * @returns {Array<{points: Array, closed: boolean}>} Polylines of [x, y] points
+ */
+export function contourPolylines(field, cols, rows, threshold, cellSize) {
+  const edgeKeys = [];
+  const segments = marchingSquares(field, cols, rows, threshold, cellSize, edgeKeys);
+
+  // Endpoint e belongs to segment e >> 1; its partner endpoint is e ^ 1
+  const endpointsByKey = new Map();
+  for (let e = 0; e < edgeKeys.length; e++) {
+    const shared = endpointsByKey.get(edgeKeys[e]);
+    if (shared) {
+      shared.push(e);
+    } else {
+      endpointsByKey.set(edgeKeys[e], [e]);
+    }
+  }
+
+  const used = new Uint8Array(segments.length);
+  const polylines = [];
+
+  // Follow segments from an endpoint until the chain ends or closes
+  function walk(start) {
+    const points = [segments[start >> 1][start & 1]];
+    let current = start;
+
+    while (current !== undefined) {
+      used[current >> 1] = 1;
+      const other = current ^ 1;
+      points.push(segments[other >> 1][other & 1]);
+
+      current = endpointsByKey.get(edgeKeys[other])
+        .find(e => e !== other && !used[e >> 1]);
+    }
+
+    return points;
+  }
+
+  // Open chains start at endpoints no other segment shares
+  for (let e = 0; e < edgeKeys.length; e++) {
+    if (!used[e >> 1] && endpointsByKey.get(edgeKeys[e]).length === 1) {
+      polylines.push({ points: walk(e), closed: false });
+    }
+  }
+
+  // Everything left forms closed loops
+  for (let s = 0; s < segments.length; s++) {
+    if (!used[s]) {
+      const points = walk(s * 2);
+      points.pop(); // Last point repeats the first
+      polylines.push({ points, closed: true });
+    }
+  }
+
+  return polylines;
+}
+
+/**
+ * Chaikin corner cutting
+ * @param {Array} points - Polyline points
+ * @param {boolean} closed - Whether the polyline is a loop
+ * @returns {Array} Smoothed points
+ */
+function chaikin(points, closed) {
+  const result = [];
+  const count = points.length;
+  const last = closed ? count : count - 1;
+
+  if (!closed) result.push(points[0]);
+
+  for (let i = 0; i < last; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % count];
+    result.push([lerp(x1, x2, 0.25), lerp(y1, y2, 0.25)]);
+    result.push([lerp(x1, x2, 0.75), lerp(y1, y2, 0.75)]);
+  }
+
+  if (!closed) result.push(points[count - 1]);
+
+  return result;
+}
+
+/**
+ * Uniform Catmull-Rom spline through the polyline points
+ * @param {Array} points - Polyline points
+ * @param {boolean} closed - Whether the polyline is a loop
+ * @param {number} samples - Points generated per span
+ * @returns {Array} Smoothed points
+ */
+function catmullRom(points, closed, samples) {
+  const result = [];
+  const count = points.length;
+  const spans = closed ? count : count - 1;
+
+  // Clamp (open) or wrap (closed) neighbour lookups
+  const at = i => closed
+    ? points[(i + count) % count]
+    : points[Math.max(0, Math.min(count - 1, i))];
+
+  for (let i = 0; i < spans; i++) {
+    const p0 = at(i - 1);
+    const p1 = at(i);
+    const p2 = at(i + 1);
+    const p3 = at(i + 2);
+
+    for (let s = 0; s < samples; s++) {
+      const t = s / samples;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const point = [0, 0];
+
+      for (let axis = 0; axis < 2; axis++) {
+        point[axis] = 0.5 * (
+          2 * p1[axis] +
+          (p2[axis] - p0[axis]) * t +
+          (2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis]) * t2 +
+          (3 * p1[axis] - 3 * p2[axis] + p3[axis] - p0[axis]) * t3
+        );
+      }
+
+      result.push(point);
+    }
+  }
+
+  if (!closed) result.push(points[count - 1]);
+
+  return result;
+}
+
+/**
+ * Smooth a polyline before stroking
+ * @param {{points: Array, closed: boolean}} polyline - Polyline to smooth
+ * @param {Object} options - Smoothing options
+ * @param {string} options.method - 'chaikin' or 'catmull-rom' (default: 'chaikin')
+ * @param {number} options.iterations - Chaikin passes (default: 2)
+ * @param {number} options.samples - Catmull-Rom points per span (default: 4)
+ * @returns {{points: Array, closed: boolean}} Smoothed polyline
+ */
+export function smoothPolyline(polyline, options = {}) {
+  const { method = 'chaikin', iterations = 2, samples = 4 } = options;
+  const { closed } = polyline;
+  let { points } = polyline;
+
+  // Nothing to smooth on a single span
+  if (points.length < 3) return polyline;
+
+  if (method === 'catmull-rom') {
+    points = catmullRom(points, closed, samples);
+  } else {
+    for (let i = 0; i < iterations; i++) {
+      points = chaikin(points, closed);
+    }
+  }
+
+  return { points, closed };
+}
+
+/**
+ * Clip a convex polygon against one side of a linear scalar field
+ * Vertices are flat [x, y, value] triples; crossing points are interpolated
+ * along each edge, so the result stays convex.
+ * @param {Array<number>} input - Polygon as flat [x, y, v, ...] triples
+ * @param {number} level - Clip value
+ * @param {number} side - 1 keeps v >= level, -1 keeps v <= level
+ * @returns {Array<number>} Clipped polygon triples
+ */
+function clipPolygon(input, level, side) {
+  const output = [];
+  const count = input.length / 3;
+
+  for (let i = 0; i < count; i++) {
+    const a = i * 3;
+    const b = ((i + 1) % count) * 3;
+    const va = input[a + 2];
+    const vb = input[b + 2];
+    const aInside = (va - level) * side >= 0;
+    const bInside = (vb - level) * side >= 0;
+
+    if (aInside) output.push(input[a], input[a + 1], va);
+
+    if (aInside !== bInside) {
+      const t = invLerp(va, vb, level);
+      output.push(lerp(input[a], input[b], t), lerp(input[a + 1], input[b + 1], t), level);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Marching-squares isoband extraction
+ * Produces fillable polygons covering the region lower <= value <= upper.
+ * Each cell is split into four triangles around its centre sample, which
+ * resolves saddles the same way as the isolines and keeps every polygon convex.
+ *
+ * @param {Float32Array} field - Scalar field values
+ * @param {number} cols - Number of columns
+ * @param {number} rows - Number of rows
+ * @param {number} lower - Band lower bound
+ * @param {number} upper - Band upper bound
+ * @param {number} cellSize - Size of each cell in pixels
+ * @returns {Array<Array<number>>} Convex polygons as flat [x1, y1, x2, y2, ...] arrays
+ */
+export function isobands(field, cols, rows, lower, upper, cellSize) {
+  const polygons = [];
+  const half = cellSize / 2;
+
+  for (let row = 0; row < rows - 1; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const x = col * cellSize;
+      const y = row * cellSize;
+
+      // Sample corner values
+      const tl = field[row * cols + col];
+      const tr = field[row * cols + col + 1];
+      const br = field[(row + 1) * cols + col + 1];
+      const bl = field[(row + 1) * cols + col];
+
+      const min = Math.min(tl, tr, br, bl);
+      const max = Math.max(tl, tr, br, bl);
+
+      // Cell entirely outside the band
+      if (max < lower || min > upper) continue;
+
+      // Cell entirely inside the band: emit the whole square
+      if (min >= lower && max <= upper) {
+        polygons.push([x, y, x + cellSize, y, x + cellSize, y + cellSize, x, y + cellSize]);
+        continue;
+      }
+
+      const cx = x + half;
+      const cy = y + half;
+      const centre = (tl + tr + br + bl) / 4;
+
+      const corners = [
+        x, y, tl,
+        x + cellSize, y, tr,
+        x + cellSize, y + cellSize, br,
+        x, y + cellSize, bl
+      ];
+
+      for (let i = 0; i < 4; i++) {
+        const a = i * 3;
+        const b = ((i + 1) % 4) * 3;
+        const triangle = [
+          corners[a], corners[a + 1], corners[a + 2],
+          corners[b], corners[b + 1], corners[b + 2],
+          cx, cy, centre
+        ];
+
+        const clipped = clipPolygon(clipPolygon(triangle, lower, 1), upper, -1);
+        if (clipped.length < 9) continue;
+
+        // Drop the value channel
+        const polygon = [];
+        for (let k = 0; k < clipped.length; k += 3) {
+          polygon.push(clipped[k], clipped[k + 1]);
+        }
+        polygons.push(polygon);
+      }
+    }
+  }
+
+  return polygons;
+}
+
+/**
+ * Fill isoband polygons as a single path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Array<number>>} polygons - Flat polygon arrays from isobands()
+ * @param {string} color - Fill color
+ */
+export function renderBands(ctx, polygons, color) {
+  if (polygons.length === 0) return;
+
+  ctx.beginPath();
+  ctx.fillStyle = color;
+
+  for (const polygon of polygons) {
+    ctx.moveTo(polygon[0], polygon[1]);
+    for (let i = 2; i < polygon.length; i += 2) {
+      ctx.lineTo(polygon[i], polygon[i + 1]);
+    }
+    ctx.closePath();
+  }
+
+  ctx.fill();
+}
+
+/**
+ * Render contour polylines to canvas as continuous paths
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<{points: Array, closed: boolean}>} polylines - Polylines to stroke
+ * @param {string} color - Stroke color
+ * @param {number} lineWidth - Stroke width
+ */
+export function renderPolylines(ctx, polylines, color, lineWidth = 1) {
+  if (polylines.length === 0) return;
+
+  ctx.beginPath();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+
+  for (const { points, closed } of polylines) {
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i][0], points[i][1]);
+    }
+    if (closed) ctx.closePath();
+  }
+
+  ctx.stroke();
+}
+
 /**
  * Render contour segments to canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -142,7 +510,7 @@ export function renderContours(ctx, segments, color, lineWidth = 1) {
  */
 export function renderMultiContours(ctx, field, cols, rows, cellSize, thresholds, color, lineWidth = 1) {
   for (const threshold of thresholds) {
-    const segments = marchingSquares(field, cols, rows, threshold, cellSize);
-    renderContours(ctx, segments, color, lineWidth);
+    const polylines = contourPolylines(field, cols, rows, threshold, cellSize);
+    renderPolylines(ctx, polylines, color, lineWidth);
   }
 }
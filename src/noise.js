@@ -1,20 +1,39 @@
-import { createNoise2D } from 'https://cdn.jsdelivr.net/npm/simplex-noise@4.0.3/+esm';
+import { createNoise3D } from 'https://cdn.jsdelivr.net/npm/simplex-noise@4.0.3/+esm';
+import { createRandom } from './random.js';
+
+// Decorrelating offsets for the two domain-warp fields
+const WARP_OFFSETS = [[0, 0], [5.2, 1.3]];
+
+/**
+ * Per-octave shaping for each noise mode
+ * fbm keeps signed noise; turbulence folds it into billows; ridged inverts
+ * the fold into sharp crests.
+ */
+const OCTAVE_SHAPES = {
+  fbm: n => n,
+  turbulence: n => Math.abs(n),
+  ridged: n => {
+    const ridge = 1 - Math.abs(n);
+    return ridge * ridge;
+  }
+};
 
 /**
  * Creates a Fractal Brownian Motion (FBM) noise function
- * @param {number} seed - Random seed for noise generation
+ * Noise is evaluated in 3D with time as the third axis, so fields evolve in
+ * place instead of scrolling.
+ * @param {number|string} seed - Random seed for noise generation
  * @returns {Function} FBM noise function
  */
 export function createFBM(seed = Math.random()) {
-  const noise2D = createNoise2D(() => seed);
+  // simplex-noise shuffles its permutation table with this generator
+  const noise3D = createNoise3D(createRandom(seed));
 
-  return function fbm(x, y, options = {}) {
-    const {
-      octaves = 3,
-      frequency = 1,
-      lacunarity = 2,
-      persistence = 0.5
-    } = options;
+  /**
+   * Sum octaves of shaped noise, normalized to [-1, 1]
+   */
+  function octaveSum(x, y, z, octaves, frequency, lacunarity, persistence, mode) {
+    const shape = OCTAVE_SHAPES[mode] || OCTAVE_SHAPES.fbm;
 
     let value = 0;
     let freq = frequency;
@@ -22,29 +41,100 @@ export function createFBM(seed = Math.random()) {
     let maxValue = 0;
 
     for (let i = 0; i < octaves; i++) {
-      value += noise2D(x * freq, y * freq) * amp;
+      value += shape(noise3D(x * freq, y * freq, z * freq)) * amp;
       maxValue += amp;
       freq *= lacunarity;
       amp *= persistence;
     }
 
-    return value / maxValue;
+    value /= maxValue;
+
+    // Folded modes produce [0, 1]; remap so thresholds work across modes
+    return mode === 'turbulence' || mode === 'ridged' ? value * 2 - 1 : value;
+  }
+
+  /**
+   * @param {number} x - Sample x (noise space)
+   * @param {number} y - Sample y (noise space)
+   * @param {Object} options - Noise options
+   * @param {number} options.octaves - Octave count (default: 3)
+   * @param {number} options.frequency - Base frequency multiplier (default: 1)
+   * @param {number} options.lacunarity - Frequency growth per octave (default: 2)
+   * @param {number} options.persistence - Amplitude decay per octave (default: 0.5)
+   * @param {number} options.time - Third noise axis (default: 0)
+   * @param {string} options.mode - 'fbm', 'ridged', 'turbulence', 'domainWarp' (default: 'fbm')
+   * @param {number} options.warpStrength - Domain warp displacement in noise units (default: 1.5)
+   * @returns {number} Noise value in [-1, 1]
+   */
+  return function fbm(x, y, options = {}) {
+    const {
+      octaves = 3,
+      frequency = 1,
+      lacunarity = 2,
+      persistence = 0.5,
+      time = 0,
+      mode = 'fbm',
+      warpStrength = 1.5
+    } = options;
+
+    if (mode === 'domainWarp') {
+      // Displace the sample point by two decorrelated fbm fields
+      const [[ax, ay], [bx, by]] = WARP_OFFSETS;
+      const qx = octaveSum(x + ax, y + ay, time, octaves, frequency, lacunarity, persistence, 'fbm');
+      const qy = octaveSum(x + bx, y + by, time, octaves, frequency, lacunarity, persistence, 'fbm');
+
+      return octaveSum(
+        x + warpStrength * qx,
+        y + warpStrength * qy,
+        time,
+        octaves,
+        frequency,
+        lacunarity,
+        persistence,
+        'fbm'
+      );
+    }
+
+    return octaveSum(x, y, time, octaves, frequency, lacunarity, persistence, mode);
   };
 }
 
+/**
+ * Samples the curl of an fbm field (a divergence-free flow)
+ * Treating the noise as a stream function, the curl (dn/dy, -dn/dx) runs
+ * along its isolines, so particles following it trace the contour lines of
+ * the same field and never bunch up or thin out.
+ *
+ * @param {Function} fbm - FBM noise function from createFBM()
+ * @param {number} x - Sample x (noise space)
+ * @param {number} y - Sample y (noise space)
+ * @param {Object} options - Noise options (see createFBM)
+ * @param {{x: number, y: number}} out - Receives the flow vector (noise units)
+ * @param {number} epsilon - Finite-difference step in noise space (default: 0.01)
+ * @returns {{x: number, y: number}} The `out` object
+ */
+export function sampleCurl(fbm, x, y, options, out, epsilon = 0.01) {
+  const dndx = (fbm(x + epsilon, y, options) - fbm(x - epsilon, y, options)) / (2 * epsilon);
+  const dndy = (fbm(x, y + epsilon, options) - fbm(x, y - epsilon, options)) / (2 * epsilon);
+
+  out.x = dndy;
+  out.y = -dndx;
+  return out;
+}
+
 /**
  * Generates a 2D noise field
  * @param {number} cols - Number of columns
  * @param {number} rows - Number of rows
  * @param {Function} fbm - FBM noise function
- * @param {number} time - Time offset for animation
- * @param {Object} options - Noise options
+ * @param {number} time - Time offset for animation (third noise axis)
+ * @param {Object} options - Noise options (see createFBM)
  * @returns {Float32Array} Noise field values
  */
 export function generateNoiseField(cols, rows, fbm, time, options = {}) {
   const {
     baseFrequency = 0.008,
-    octaves = 3
+    ...noiseOptions
   } = options;
 
   const field = new Float32Array(cols * rows);
@@ -53,9 +143,9 @@ export function generateNoiseField(cols, rows, fbm, time, options = {}) {
     for (let col = 0; col < cols; col++) {
       const index = row * cols + col;
       field[index] = fbm(
-        col * baseFrequency + time,
+        col * baseFrequency,
         row * baseFrequency,
-        { octaves }
+        { ...noiseOptions, time }
       );
     }
   }
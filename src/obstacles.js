@@ -0,0 +1,105 @@
+/**
+ * obstacles.js - Obstacle Distance Field
+ *
+ * Turns rectangles (DOM element bounds in canvas space) into a sampled
+ * signed-distance field: negative inside an obstacle, positive outside.
+ * Particles and the logo read distance and gradient from it to steer clear of
+ * page copy. The field is rebuilt only when the rectangles or canvas change.
+ *
+ * @module obstacles
+ */
+
+/**
+ * Signed distance from a point to an axis-aligned box
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Box
+ * @returns {number} Distance (negative inside)
+ */
+function boxDistance(px, py, rect) {
+  const halfW = (rect.right - rect.left) / 2;
+  const halfH = (rect.bottom - rect.top) / 2;
+  const qx = Math.abs(px - (rect.left + halfW)) - halfW;
+  const qy = Math.abs(py - (rect.top + halfH)) - halfH;
+
+  const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+  const inside = Math.min(Math.max(qx, qy), 0);
+  return outside + inside;
+}
+
+/**
+ * Builds the signed-distance field for a set of obstacles
+ * Padding grows every box with rounded corners, so particles keep clear of
+ * the text instead of brushing its edge.
+ *
+ * @param {Array<{left: number, top: number, right: number, bottom: number}>} rects - Obstacles in canvas CSS pixels
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ * @param {Object} options - Field options
+ * @param {number} options.cellSize - Grid spacing in pixels (default: 16)
+ * @param {number} options.padding - Clearance added around each box in pixels (default: 16)
+ * @returns {{distances: Float32Array, cols: number, rows: number, cellSize: number}|null} Field, or null without obstacles
+ */
+export function buildObstacleField(rects, width, height, options = {}) {
+  const { cellSize = 16, padding = 16 } = options;
+  if (rects.length === 0 || width <= 0 || height <= 0) return null;
+
+  const cols = Math.ceil(width / cellSize) + 1;
+  const rows = Math.ceil(height / cellSize) + 1;
+  const distances = new Float32Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const px = col * cellSize;
+      const py = row * cellSize;
+
+      // Union of obstacles: nearest box wins
+      let distance = Infinity;
+      for (const rect of rects) {
+        distance = Math.min(distance, boxDistance(px, py, rect));
+      }
+
+      distances[row * cols + col] = distance - padding;
+    }
+  }
+
+  return { distances, cols, rows, cellSize };
+}
+
+/**
+ * Samples distance and gradient at a point (bilinear)
+ * Writes into `out` so per-particle sampling doesn't allocate.
+ *
+ * @param {Object} field - Field from buildObstacleField()
+ * @param {number} px - X in canvas CSS pixels
+ * @param {number} py - Y in canvas CSS pixels
+ * @param {{distance: number, gradX: number, gradY: number}} out - Receives the sample
+ * @returns {{distance: number, gradX: number, gradY: number}} The `out` object
+ */
+export function sampleObstacleField(field, px, py, out) {
+  const { distances, cols, rows, cellSize } = field;
+
+  const gx = Math.max(0, Math.min(cols - 1.001, px / cellSize));
+  const gy = Math.max(0, Math.min(rows - 1.001, py / cellSize));
+  const col = Math.floor(gx);
+  const row = Math.floor(gy);
+  const fx = gx - col;
+  const fy = gy - row;
+  const i = row * cols + col;
+
+  const a = distances[i];
+  const b = distances[i + 1];
+  const c = distances[i + cols];
+  const d = distances[i + cols + 1];
+
+  out.distance = (a + (b - a) * fx) * (1 - fy) + (c + (d - c) * fx) * fy;
+
+  // Bilinear derivative, normalized to a direction
+  const gradX = (b - a) * (1 - fy) + (d - c) * fy;
+  const gradY = (c - a) * (1 - fx) + (d - b) * fx;
+  const length = Math.hypot(gradX, gradY) || 1;
+  out.gradX = gradX / length;
+  out.gradY = gradY / length;
+
+  return out;
+}
@@ -3,8 +3,14 @@
  *
  * Physics-based particle system with spring dynamics for logo assembly animation.
  * Implements damped harmonic oscillator for natural, organic motion feel.
+ *
+ * The pipeline functions operate on a ParticleStore (typed arrays). The
+ * Particle class remains for standalone, single-particle use.
  */
 
+import { REFERENCE_STEP, getSpringCoefficients, FALLOFF_CURVES } from './spring.js';
+import { sampleObstacleField } from './obstacles.js';
+
 /**
  * Individual Particle with Spring Physics
  *
@@ -14,6 +20,9 @@
  */
 class Particle {
   constructor(targetX, targetY, config = {}) {
+    // Random source (seeded generator for reproducible animations)
+    const random = config.random ?? Math.random;
+
     // Store original target position (from SVG, never changes)
     this.originalTargetX = targetX;
     this.originalTargetY = targetY;
@@ -41,15 +50,15 @@ class Particle {
     this.friction = config.friction ?? 0.92;
 
     // Visual properties
-    this.size = config.size ?? 2 + Math.random() * 2; // 2-4px variation for organic feel
+    this.size = config.size ?? 2 + random() * 2; // 2-4px variation for organic feel
     this.color = config.color ?? '#FFFFFF';
     this.opacity = config.opacity ?? 1.0;
     this.targetOpacity = 1.0; // Target opacity for fade in/out
     this.opacityTransitionSpeed = 0.1; // How fast opacity changes (0-1)
 
     // Breathing animation (idle state)
-    this.breathPhase = Math.random() * Math.PI * 2; // Random phase for organic distribution
-    this.breathSpeed = 0.02 + Math.random() * 0.01; // Slight variation per particle
+    this.breathPhase = random() * Math.PI * 2; // Random phase for organic distribution
+    this.breathSpeed = 0.02 + random() * 0.01; // Slight variation per particle
     this.breathAmplitude = config.breathAmplitude ?? 0.5; // Subtle 0.5px movement
 
     // Interaction state
@@ -63,18 +72,21 @@ class Particle {
    *
    * @param {number} time - Current time for breathing animation
    * @param {boolean} isSettled - If true, apply breathing; if false, skip for performance
+   * @param {number} dt - Step length in seconds (defaults to one 60Hz frame)
    */
-  update(time, isSettled = false) {
+  update(time, isSettled = false, dt = REFERENCE_STEP) {
+    const { stiffness, damping, scale } = getSpringCoefficients(this.springStrength, this.friction, dt);
+
     // Smoothly transition opacity toward target
     const opacityDiff = this.targetOpacity - this.opacity;
-    this.opacity += opacityDiff * this.opacityTransitionSpeed;
+    this.opacity += opacityDiff * (1 - Math.pow(1 - this.opacityTransitionSpeed, scale));
 
     // Calculate breathing offset (subtle oscillation around target)
     let breathOffsetX = 0;
     let breathOffsetY = 0;
 
     if (isSettled && this.breathAmplitude > 0) {
-      this.breathPhase += this.breathSpeed;
+      this.breathPhase += this.breathSpeed * scale;
       const breathValue = Math.sin(this.breathPhase);
 
       // Circular breathing pattern (like leaves gently swaying)
@@ -91,24 +103,24 @@ class Particle {
     const dx = effectiveTargetX - this.x;
     const dy = effectiveTargetY - this.y;
 
-    const springForceX = dx * this.springStrength;
-    const springForceY = dy * this.springStrength;
+    const springForceX = dx * stiffness;
+    const springForceY = dy * stiffness;
 
     // Apply repel force from mouse interaction (if any)
-    const totalForceX = springForceX + this.repelForceX;
-    const totalForceY = springForceY + this.repelForceY;
+    const totalForceX = springForceX + this.repelForceX * scale;
+    const totalForceY = springForceY + this.repelForceY * scale;
 
     // Update velocity (force accumulation)
     this.vx += totalForceX;
     this.vy += totalForceY;
 
     // Apply friction (damping for energy dissipation)
-    this.vx *= this.friction;
-    this.vy *= this.friction;
+    this.vx *= damping;
+    this.vy *= damping;
 
-    // Update position (Euler integration)
-    this.x += this.vx;
-    this.y += this.vy;
+    // Update position (semi-implicit Euler integration)
+    this.x += this.vx * scale;
+    this.y += this.vy * scale;
 
     // Reset repel forces (recalculated each frame if mouse nearby)
     this.repelForceX = 0;
@@ -171,16 +183,243 @@ class Particle {
   }
 }
 
+/**
+ * Structure-of-Arrays Particle Store
+ *
+ * Holds every particle's state in typed arrays instead of one object per
+ * particle, so tens of thousands of particles update without GC churn and with
+ * linear memory access. Particle i lives at index i of every array.
+ *
+ * Colors are stored as indices into a shared palette, which doubles as the
+ * batch key for rendering.
+ */
+class ParticleStore {
+  /**
+   * Per-particle Float32Array fields
+   */
+  static FIELDS = [
+    'x', 'y',                               // Current position
+    'vx', 'vy',                             // Velocity
+    'targetX', 'targetY',                   // Spring equilibrium (updated dynamically)
+    'originalTargetX', 'originalTargetY',   // Target from source image (never changes)
+    'offsetX', 'offsetY',                   // Offset from logo centroid
+    'forceX', 'forceY',                     // External forces, cleared every step
+    'size',
+    'opacity', 'targetOpacity',
+    'breathPhase', 'breathSpeed',
+    'scatterX', 'scatterY'                  // Scroll-out scatter direction (length 0.5-1)
+  ];
+
+  /**
+   * @param {number} capacity - Initial number of particle slots
+   * @param {Object} physicsConfig - Spring physics parameters shared by all particles
+   */
+  constructor(capacity, physicsConfig = {}) {
+    this.count = 0;
+    this.capacity = 0;
+
+    // Trailing particles fading out after a morph (see morphParticles)
+    this.retiringCount = 0;
+
+    // Shared physics parameters
+    this.springStrength = physicsConfig.springStrength ?? 0.02;
+    this.friction = physicsConfig.friction ?? 0.92;
+    this.breathAmplitude = physicsConfig.breathAmplitude ?? 0.5;
+    this.opacityTransitionSpeed = 0.1;
+
+    // Color palette (index -> CSS color) and reverse lookup
+    this.palette = [];
+    this.paletteIndex = new Map();
+
+    for (const field of ParticleStore.FIELDS) {
+      this[field] = new Float32Array(0);
+    }
+    this.colorIndex = new Uint32Array(0);
+
+    this.reserve(capacity);
+  }
+
+  /**
+   * Number of live particles (array-like compatibility)
+   */
+  get length() {
+    return this.count;
+  }
+
+  /**
+   * Number of particles not being retired
+   */
+  get liveCount() {
+    return this.count - this.retiringCount;
+  }
+
+  /**
+   * Grow typed arrays to hold at least `capacity` particles, preserving data
+   * @param {number} capacity - Required capacity
+   */
+  reserve(capacity) {
+    if (capacity <= this.capacity) return;
+
+    for (const field of ParticleStore.FIELDS) {
+      const next = new Float32Array(capacity);
+      next.set(this[field].subarray(0, this.count));
+      this[field] = next;
+    }
+
+    const colorIndex = new Uint32Array(capacity);
+    colorIndex.set(this.colorIndex.subarray(0, this.count));
+    this.colorIndex = colorIndex;
+
+    this.capacity = capacity;
+  }
+
+  /**
+   * Get (or register) the palette index for a color
+   * @param {string} color - CSS color string
+   * @returns {number} Palette index
+   */
+  colorToIndex(color) {
+    let index = this.paletteIndex.get(color);
+    if (index === undefined) {
+      index = this.palette.length;
+      this.palette.push(color);
+      this.paletteIndex.set(color, index);
+    }
+    return index;
+  }
+
+  /**
+   * Append a particle
+   * @param {number} targetX - Target x position
+   * @param {number} targetY - Target y position
+   * @param {Object} config - Same options as the Particle constructor
+   * @returns {number} Index of the new particle
+   */
+  add(targetX, targetY, config = {}) {
+    if (this.count === this.capacity) {
+      this.reserve(Math.max(16, this.capacity * 2));
+    }
+
+    const i = this.count++;
+    const random = config.random ?? Math.random;
+
+    this.originalTargetX[i] = targetX;
+    this.originalTargetY[i] = targetY;
+    this.offsetX[i] = config.offsetX ?? 0;
+    this.offsetY[i] = config.offsetY ?? 0;
+    this.targetX[i] = targetX;
+    this.targetY[i] = targetY;
+    this.x[i] = config.startX ?? targetX;
+    this.y[i] = config.startY ?? targetY;
+    this.vx[i] = 0;
+    this.vy[i] = 0;
+    this.forceX[i] = 0;
+    this.forceY[i] = 0;
+
+    // Visual properties
+    this.size[i] = config.size ?? 2 + random() * 2; // 2-4px variation for organic feel
+    this.colorIndex[i] = this.colorToIndex(config.color ?? '#FFFFFF');
+    this.opacity[i] = config.opacity ?? 1.0;
+    this.targetOpacity[i] = 1.0;
+
+    // Breathing animation (idle state)
+    this.breathPhase[i] = random() * Math.PI * 2; // Random phase for organic distribution
+    this.breathSpeed[i] = 0.02 + random() * 0.01; // Slight variation per particle
+
+    // Scroll choreography: where this particle flies when the header scatters
+    const scatterAngle = random() * Math.PI * 2;
+    const scatterReach = 0.5 + random() * 0.5;
+    this.scatterX[i] = Math.cos(scatterAngle) * scatterReach;
+    this.scatterY[i] = Math.sin(scatterAngle) * scatterReach;
+
+    return i;
+  }
+
+  /**
+   * Append a copy of another store's particle, keeping its motion state
+   * @param {ParticleStore} source - Store to copy from
+   * @param {number} index - Particle index in the source store
+   * @returns {number} Index of the new particle
+   */
+  copyFrom(source, index) {
+    if (this.count === this.capacity) {
+      this.reserve(Math.max(16, this.capacity * 2));
+    }
+
+    const i = this.count++;
+
+    for (const field of ParticleStore.FIELDS) {
+      this[field][i] = source[field][index];
+    }
+    this.colorIndex[i] = this.colorToIndex(source.getColor(index));
+
+    return i;
+  }
+
+  /**
+   * Drop retiring particles once they have faded out
+   * @param {number} threshold - Opacity below which a particle is invisible
+   * @returns {boolean} True if the retiring particles were removed
+   */
+  pruneRetired(threshold = 0.01) {
+    if (this.retiringCount === 0) return false;
+
+    for (let i = this.liveCount; i < this.count; i++) {
+      if (this.opacity[i] > threshold) return false;
+    }
+
+    this.count -= this.retiringCount;
+    this.retiringCount = 0;
+    return true;
+  }
+
+  /**
+   * Color of particle i
+   * @param {number} i - Particle index
+   * @returns {string} CSS color string
+   */
+  getColor(i) {
+    return this.palette[this.colorIndex[i]];
+  }
+
+  /**
+   * Check if particle i has settled (velocity near zero and close to target)
+   * @param {number} i - Particle index
+   * @param {number} threshold - Settle threshold
+   * @returns {boolean} True if settled
+   */
+  isSettled(i, threshold = 0.01) {
+    const velocityMag = Math.abs(this.vx[i]) + Math.abs(this.vy[i]);
+    const distToTarget = Math.abs(this.x[i] - this.targetX[i]) + Math.abs(this.y[i] - this.targetY[i]);
+    return velocityMag < threshold && distToTarget < threshold;
+  }
+}
+
+// Unpremultiplied edge pixels drift slightly in RGB; snap them back together
+const SOURCE_RGB_LEVELS = 32;
+
+/**
+ * Snap an 8-bit channel value to one of `levels` evenly spaced steps
+ * @param {number} value - Channel value (0-255)
+ * @param {number} levels - Number of steps (at least 2)
+ * @returns {number} Quantized channel value (0-255)
+ */
+function quantizeChannel(value, levels) {
+  const step = 255 / (Math.max(2, levels) - 1);
+  return Math.round(Math.round(value / step) * step);
+}
+
 /**
  * Extract particle positions from logo image
  * Samples pixels with sufficient alpha to determine "solid" areas
  *
- * @param {HTMLImageElement} image - Logo image to sample
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Logo image (or rendered text) to sample
  * @param {number} samplingDensity - How many pixels to skip (1 = every pixel, 2 = every other, etc.)
  * @param {number} alphaThreshold - Minimum alpha value (0-255) to consider pixel "solid"
+ * @param {number} alphaLevels - Alpha quantization steps; keeps anti-aliased edges from splitting color batches (default: 8)
  * @returns {Array<{x: number, y: number, color: string}>} Array of particle target positions
  */
-function extractParticlePositions(image, samplingDensity = 2, alphaThreshold = 128) {
+function extractParticlePositions(image, samplingDensity = 2, alphaThreshold = 128, alphaLevels = 8) {
   const canvas = document.createElement('canvas');
   const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
@@ -208,7 +447,8 @@ function extractParticlePositions(image, samplingDensity = 2, alphaThreshold = 1
         positions.push({
           x,
           y,
-          color: `rgba(${r}, ${g}, ${b}, ${a / 255})`
+          color: `rgba(${quantizeChannel(r, SOURCE_RGB_LEVELS)}, ${quantizeChannel(g, SOURCE_RGB_LEVELS)}, ` +
+            `${quantizeChannel(b, SOURCE_RGB_LEVELS)}, ${+(quantizeChannel(a, alphaLevels) / 255).toFixed(3)})`
         });
       }
     }
@@ -217,110 +457,678 @@ function extractParticlePositions(image, samplingDensity = 2, alphaThreshold = 1
   return positions;
 }
 
+/**
+ * Render text to an offscreen canvas for particle sampling
+ * The result can be passed straight to extractParticlePositions().
+ *
+ * @param {string} text - Text to render; '\n' starts a new line
+ * @param {Object} options - Text options
+ * @param {string} options.font - CSS font family (default: 'system-ui, sans-serif')
+ * @param {string|number} options.weight - CSS font weight (default: 700)
+ * @param {number} options.size - Font size in pixels (default: 120)
+ * @param {string} options.align - Line alignment: 'left', 'center', 'right' (default: 'center')
+ * @param {number} options.lineHeight - Line height as a multiple of size (default: 1.1)
+ * @param {string} options.color - Fill color, inherited by the particles (default: '#FFFFFF')
+ * @returns {HTMLCanvasElement} Canvas sized to the text
+ */
+function createTextImage(text, options = {}) {
+  const {
+    font = 'system-ui, sans-serif',
+    weight = 700,
+    size = 120,
+    align = 'center',
+    lineHeight = 1.1,
+    color = '#FFFFFF'
+  } = options;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const cssFont = `${weight} ${size}px ${font}`;
+
+  // Measure every line to size the canvas
+  const lines = String(text).split('\n');
+  ctx.font = cssFont;
+  const widths = lines.map(line => ctx.measureText(line).width);
+  const width = Math.ceil(Math.max(1, ...widths));
+  const lineAdvance = size * lineHeight;
+
+  canvas.width = width;
+  canvas.height = Math.ceil(lineAdvance * lines.length);
+
+  // Resizing the canvas resets context state
+  ctx.font = cssFont;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+
+  lines.forEach((line, i) => {
+    const x = align === 'left' ? 0
+      : align === 'right' ? width - widths[i]
+      : (width - widths[i]) / 2;
+    ctx.fillText(line, x, lineAdvance * (i + 0.5));
+  });
+
+  return canvas;
+}
+
 /**
  * Initialize particle system with scattered starting positions
  *
  * @param {Array<{x: number, y: number, color: string}>} targetPositions - Where particles should settle
  * @param {Object} canvasBounds - {width, height} of canvas for random scatter
  * @param {Object} physicsConfig - Spring physics parameters (optional)
- * @returns {Array<Particle>} Array of initialized particles
+ * @param {Function} random - Random source, e.g. a seeded generator (default: Math.random)
+ * @returns {ParticleStore} Initialized particle store
  */
-function initializeParticles(targetPositions, canvasBounds, physicsConfig = {}) {
+function initializeParticles(targetPositions, canvasBounds, physicsConfig = {}, random = Math.random) {
   // Calculate logo centroid
-  const centroidX = targetPositions.reduce((sum, p) => sum + p.x, 0) / targetPositions.length;
-  const centroidY = targetPositions.reduce((sum, p) => sum + p.y, 0) / targetPositions.length;
+  const centroid = calculateCentroid(targetPositions);
 
-  const particles = [];
+  const store = new ParticleStore(targetPositions.length, physicsConfig);
 
   for (const target of targetPositions) {
     // Random starting position (scattered across canvas)
-    const startX = Math.random() * canvasBounds.width;
-    const startY = Math.random() * canvasBounds.height;
+    const startX = random() * canvasBounds.width;
+    const startY = random() * canvasBounds.height;
 
-    const particle = new Particle(target.x, target.y, {
+    store.add(target.x, target.y, {
       startX,
       startY,
       color: target.color,
-      offsetX: target.x - centroidX,  // Store offset from centroid
-      offsetY: target.y - centroidY,
-      springStrength: physicsConfig.springStrength ?? 0.02,
-      friction: physicsConfig.friction ?? 0.92,
-      size: physicsConfig.size ?? (2 + Math.random() * 2),
-      breathAmplitude: physicsConfig.breathAmplitude ?? 0.5
+      offsetX: target.x - centroid.x,  // Store offset from centroid
+      offsetY: target.y - centroid.y,
+      size: physicsConfig.size ?? (2 + random() * 2),
+      random
+    });
+  }
+
+  return store;
+}
+
+/**
+ * Greedy nearest-neighbour assignment between two point sets
+ * Each point of `a` (visited in random order) claims its nearest unclaimed
+ * point of `b`. A uniform grid over `b` keeps each search local. `a` should be
+ * the smaller set so every point gets a partner.
+ *
+ * @param {Float32Array} ax - X coordinates of the claiming set
+ * @param {Float32Array} ay - Y coordinates of the claiming set
+ * @param {Float32Array} bx - X coordinates of the claimed set
+ * @param {Float32Array} by - Y coordinates of the claimed set
+ * @param {Function} random - Random source for the visiting order
+ * @returns {Int32Array} Index into `b` for each point of `a` (-1 if `b` ran out)
+ */
+function matchNearest(ax, ay, bx, by, random = Math.random) {
+  const matches = new Int32Array(ax.length).fill(-1);
+  if (bx.length === 0) return matches;
+
+  // Bounding box of b, bucketed into roughly one point per cell
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let j = 0; j < bx.length; j++) {
+    minX = Math.min(minX, bx[j]);
+    minY = Math.min(minY, by[j]);
+    maxX = Math.max(maxX, bx[j]);
+    maxY = Math.max(maxY, by[j]);
+  }
+
+  const side = Math.max(1, Math.ceil(Math.sqrt(bx.length)));
+  const cellSize = Math.max(maxX - minX, maxY - minY, 1) / side;
+  const cellOf = (value, min) => Math.min(side - 1, Math.max(0, Math.floor((value - min) / cellSize)));
+
+  const buckets = Array.from({ length: side * side }, () => []);
+  for (let j = 0; j < bx.length; j++) {
+    buckets[cellOf(by[j], minY) * side + cellOf(bx[j], minX)].push(j);
+  }
+
+  // Fisher-Yates shuffle so no region of `a` always gets first pick
+  const order = Uint32Array.from({ length: ax.length }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const k = Math.floor(random() * (i + 1));
+    [order[i], order[k]] = [order[k], order[i]];
+  }
+
+  let remaining = bx.length;
+
+  for (const i of order) {
+    if (remaining === 0) break;
+
+    const col = cellOf(ax[i], minX);
+    const row = cellOf(ay[i], minY);
+    let best = -1;
+    let bestBucket = null;
+    let bestDistSq = Infinity;
+
+    // Search rings of cells outward until no closer point can exist
+    for (let ring = 0; ring < side; ring++) {
+      const reach = (ring - 1) * cellSize;
+      if (best !== -1 && reach > 0 && reach * reach > bestDistSq) break;
+
+      for (let r = row - ring; r <= row + ring; r++) {
+        if (r < 0 || r >= side) continue;
+
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (c < 0 || c >= side) continue;
+          // Only the ring's border; inner cells were searched already
+          if (r !== row - ring && r !== row + ring && c !== col - ring && c !== col + ring) continue;
+
+          const bucket = buckets[r * side + c];
+          for (const j of bucket) {
+            const dx = bx[j] - ax[i];
+            const dy = by[j] - ay[i];
+            const distSq = dx * dx + dy * dy;
+            if (distSq < bestDistSq) {
+              best = j;
+              bestBucket = bucket;
+              bestDistSq = distSq;
+            }
+          }
+        }
+      }
+    }
+
+    // Claim: swap-remove from its bucket
+    const slot = bestBucket.indexOf(best);
+    bestBucket[slot] = bestBucket[bestBucket.length - 1];
+    bestBucket.pop();
+
+    matches[i] = best;
+    remaining--;
+  }
+
+  return matches;
+}
+
+/**
+ * Morph an existing particle system onto new target positions
+ * Particles keep their position and velocity and spring to their nearest new
+ * target (matched in centroid-relative space). Extra targets spawn particles
+ * that fade in from a random existing particle; surplus particles fade out
+ * in place and are moved to the end of the store as retiring particles
+ * (drop them with store.pruneRetired()).
+ *
+ * @param {ParticleStore} store - Current particle store
+ * @param {Array<{x: number, y: number, color: string}>} targetPositions - New targets
+ * @param {Function} random - Random source, e.g. a seeded generator (default: Math.random)
+ * @returns {ParticleStore} New particle store
+ */
+function morphParticles(store, targetPositions, random = Math.random) {
+  const centroid = calculateCentroid(targetPositions);
+  const liveCount = store.liveCount;
+  const targetCount = targetPositions.length;
+
+  const next = new ParticleStore(Math.max(liveCount, targetCount), store);
+
+  // Centroid-relative target offsets, comparable to the store's offsets
+  const targetOffsetX = new Float32Array(targetCount);
+  const targetOffsetY = new Float32Array(targetCount);
+  targetPositions.forEach((target, j) => {
+    targetOffsetX[j] = target.x - centroid.x;
+    targetOffsetY[j] = target.y - centroid.y;
+  });
+
+  const particleOffsetX = store.offsetX.subarray(0, liveCount);
+  const particleOffsetY = store.offsetY.subarray(0, liveCount);
+
+  // particleFor[j] = particle assigned to target j (-1 = spawn a new one)
+  const particleFor = new Int32Array(targetCount).fill(-1);
+  const retiring = [];
+
+  if (liveCount <= targetCount) {
+    const matches = matchNearest(particleOffsetX, particleOffsetY, targetOffsetX, targetOffsetY, random);
+    matches.forEach((j, i) => { particleFor[j] = i; });
+  } else {
+    const matches = matchNearest(targetOffsetX, targetOffsetY, particleOffsetX, particleOffsetY, random);
+    const claimed = new Uint8Array(liveCount);
+    matches.forEach((i, j) => {
+      particleFor[j] = i;
+      claimed[i] = 1;
     });
+    for (let i = 0; i < liveCount; i++) {
+      if (!claimed[i]) retiring.push(i);
+    }
+  }
+
+  for (let j = 0; j < targetCount; j++) {
+    const target = targetPositions[j];
+    let i = particleFor[j];
+
+    if (i === -1) {
+      // Spawn invisible on top of an existing particle, then fade in
+      const source = liveCount > 0 ? Math.floor(random() * liveCount) : -1;
+      i = next.add(target.x, target.y, {
+        startX: source === -1 ? target.x : store.x[source],
+        startY: source === -1 ? target.y : store.y[source],
+        opacity: 0,
+        random
+      });
+    } else {
+      i = next.copyFrom(store, i);
+    }
+
+    next.originalTargetX[i] = target.x;
+    next.originalTargetY[i] = target.y;
+    next.offsetX[i] = targetOffsetX[j];
+    next.offsetY[i] = targetOffsetY[j];
+    next.colorIndex[i] = next.colorToIndex(target.color ?? '#FFFFFF');
+
+    // Matched particles keep their own target opacity (copied above); spawned
+    // ones aim for 1 until the scene re-applies any hover reaction
+  }
+
+  // Surplus particles (and any still retiring from a previous morph) fade out
+  for (let i = liveCount; i < store.count; i++) retiring.push(i);
+  for (const i of retiring) {
+    next.targetOpacity[next.copyFrom(store, i)] = 0;
+  }
+  next.retiringCount = retiring.length;
+
+  return next;
+}
+
+/**
+ * Accumulate pointer interaction forces
+ * - repel: push away from the pointer
+ * - attract: pull toward the pointer
+ * - vortex: swirl around the pointer (clockwise on screen)
+ * - ripple: radial waves traveling outward from the pointer
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {Object} pointer - Pointer state
+ * @param {number} pointer.x - Pointer X position
+ * @param {number} pointer.y - Pointer Y position
+ * @param {number} pointer.radius - Influence radius in pixels (default: 150)
+ * @param {number} pointer.strength - Force strength multiplier (default: 0.5)
+ * @param {string} pointer.mode - 'repel', 'attract', 'vortex', 'ripple' (default: 'repel')
+ * @param {string} pointer.falloff - 'quadratic', 'inverseSquare', 'gaussian' (default: 'inverseSquare')
+ * @param {number} pointer.phase - Ripple phase in radians, advanced over time (default: 0)
+ */
+function applyPointerForces(store, pointer) {
+  const {
+    x: pointerX,
+    y: pointerY,
+    radius = 150,
+    strength = 0.5,
+    mode = 'repel',
+    falloff = 'inverseSquare',
+    phase = 0
+  } = pointer;
+  const { count, x, y, forceX, forceY } = store;
+  const radiusSq = radius * radius;
+  const weight = FALLOFF_CURVES[falloff] || FALLOFF_CURVES.inverseSquare;
+
+  // Three ripple crests fit inside the radius
+  const waveNumber = (Math.PI * 2 * 3) / radius;
+
+  for (let i = 0; i < count; i++) {
+    const dx = x[i] - pointerX;
+    const dy = y[i] - pointerY;
+    const distSq = dx * dx + dy * dy;
+
+    // Only apply if within influence radius (epsilon prevents division by zero)
+    if (distSq < radiusSq && distSq > 0.01) {
+      const dist = Math.sqrt(distSq);
+      const nx = dx / dist;
+      const ny = dy / dist;
+      let magnitude = strength * weight(dist, radius);
+
+      switch (mode) {
+        case 'attract':
+          forceX[i] -= nx * magnitude;
+          forceY[i] -= ny * magnitude;
+          break;
+
+        case 'vortex':
+          forceX[i] -= ny * magnitude;
+          forceY[i] += nx * magnitude;
+          break;
 
-    particles.push(particle);
+        case 'ripple':
+          magnitude *= Math.sin(dist * waveNumber - phase);
+          forceX[i] += nx * magnitude;
+          forceY[i] += ny * magnitude;
+          break;
+
+        default:
+          forceX[i] += nx * magnitude;
+          forceY[i] += ny * magnitude;
+      }
+    }
   }
+}
+
+/**
+ * Accumulate mouse repulsion forces (inverse-square falloff for magnetic field feel)
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {number} mouseX - Mouse X position
+ * @param {number} mouseY - Mouse Y position
+ * @param {number} radius - Influence radius in pixels
+ * @param {number} strength - Force strength multiplier
+ */
+function applyRepelForces(store, mouseX, mouseY, radius, strength) {
+  applyPointerForces(store, { x: mouseX, y: mouseY, radius, strength });
+}
 
-  return particles;
+/**
+ * Accumulate the push of an expanding shockwave ring
+ * Particles inside the ring's band are pushed outward, strongest on the
+ * ring's crest.
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {Object} wave - Shockwave state
+ * @param {number} wave.x - Ring center X
+ * @param {number} wave.y - Ring center Y
+ * @param {number} wave.radius - Current ring radius in pixels
+ * @param {number} wave.width - Half-width of the ring band in pixels
+ * @param {number} wave.strength - Push on the crest (per 60Hz frame)
+ */
+function applyShockwave(store, wave) {
+  const { count, x, y, forceX, forceY } = store;
+  const inner = Math.max(0, wave.radius - wave.width);
+  const outer = wave.radius + wave.width;
+  const innerSq = inner * inner;
+  const outerSq = outer * outer;
+
+  for (let i = 0; i < count; i++) {
+    const dx = x[i] - wave.x;
+    const dy = y[i] - wave.y;
+    const distSq = dx * dx + dy * dy;
+
+    if (distSq > innerSq && distSq < outerSq && distSq > 0.01) {
+      const dist = Math.sqrt(distSq);
+      const magnitude = wave.strength * (1 - Math.abs(dist - wave.radius) / wave.width);
+
+      forceX[i] += (dx / dist) * magnitude;
+      forceY[i] += (dy / dist) * magnitude;
+    }
+  }
+}
+
+/**
+ * Accumulate a push out of a rectangle (e.g. a hovered button)
+ * Particles inside the rectangle get the full push away from its center;
+ * outside it the push fades linearly to zero over the margin.
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Rectangle in canvas CSS pixels
+ * @param {number} margin - Reach beyond the rectangle's edges in pixels
+ * @param {number} strength - Push at the edge (per 60Hz frame)
+ */
+function applyRectRepulsion(store, rect, margin, strength) {
+  const { count, x, y, forceX, forceY } = store;
+  const centerX = (rect.left + rect.right) / 2;
+  const centerY = (rect.top + rect.bottom) / 2;
+
+  for (let i = 0; i < count; i++) {
+    // Offset from the nearest point on the rectangle (zero inside it)
+    const dx = x[i] - Math.max(rect.left, Math.min(rect.right, x[i]));
+    const dy = y[i] - Math.max(rect.top, Math.min(rect.bottom, y[i]));
+    const distSq = dx * dx + dy * dy;
+
+    if (distSq >= margin * margin) continue;
+
+    if (distSq > 0.01) {
+      const dist = Math.sqrt(distSq);
+      const magnitude = strength * (1 - dist / margin);
+      forceX[i] += (dx / dist) * magnitude;
+      forceY[i] += (dy / dist) * magnitude;
+    } else {
+      // Inside: head out from the center
+      const cx = x[i] - centerX;
+      const cy = y[i] - centerY;
+      const dist = Math.hypot(cx, cy) || 1;
+      forceX[i] += (cx / dist) * strength;
+      forceY[i] += (cy / dist) * strength;
+    }
+  }
+}
+
+/**
+ * Accumulate neighbour forces: separation and boids-style flocking
+ * Neighbours come from a spatial hash rebuilt for this step, so the cost
+ * grows with local density rather than with the square of the count.
+ * - separation pushes apart particles closer than separationRadius
+ * - alignment steers toward the neighbours' average velocity
+ * - cohesion steers toward the neighbours' average position
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {SpatialHash} hash - Spatial hash built from the store's positions
+ * @param {Object} options - Behaviour weights (0 disables one)
+ * @param {number} options.separationRadius - Personal space in pixels
+ * @param {number} options.separation - Push at zero distance (per 60Hz frame)
+ * @param {number} options.flockRadius - Neighbourhood for alignment and cohesion in pixels
+ * @param {number} options.alignment - Velocity matching per 60Hz frame (0-1)
+ * @param {number} options.cohesion - Pull toward the local center per 60Hz frame
+ */
+function applyNeighborForces(store, hash, options) {
+  const {
+    separationRadius = 0,
+    separation = 0,
+    flockRadius = 0,
+    alignment = 0,
+    cohesion = 0
+  } = options;
+  const { count, x, y, vx, vy, forceX, forceY } = store;
+  const { cellStart, items, cols } = hash;
+
+  const separating = separation > 0 && separationRadius > 0;
+  const flocking = (alignment > 0 || cohesion > 0) && flockRadius > 0;
+  const reach = Math.max(separating ? separationRadius : 0, flocking ? flockRadius : 0);
+  const separationSq = separationRadius * separationRadius;
+  const flockSq = flockRadius * flockRadius;
+
+  for (let i = 0; i < count; i++) {
+    const px = x[i];
+    const py = y[i];
+    let pushX = 0;
+    let pushY = 0;
+    let sumVX = 0;
+    let sumVY = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let neighbors = 0;
+
+    const colEnd = hash.col(px + reach);
+    const rowEnd = hash.row(py + reach);
+
+    for (let row = hash.row(py - reach); row <= rowEnd; row++) {
+      for (let col = hash.col(px - reach); col <= colEnd; col++) {
+        const cell = row * cols + col;
+
+        for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+          const j = items[k];
+          if (j === i) continue;
+
+          const dx = px - x[j];
+          const dy = py - y[j];
+          const distSq = dx * dx + dy * dy;
+
+          if (separating && distSq < separationSq && distSq > 0.0001) {
+            const dist = Math.sqrt(distSq);
+            const magnitude = separation * (1 - dist / separationRadius);
+            pushX += (dx / dist) * magnitude;
+            pushY += (dy / dist) * magnitude;
+          }
+
+          if (flocking && distSq < flockSq) {
+            sumVX += vx[j];
+            sumVY += vy[j];
+            sumX += x[j];
+            sumY += y[j];
+            neighbors++;
+          }
+        }
+      }
+    }
+
+    forceX[i] += pushX;
+    forceY[i] += pushY;
+
+    if (neighbors > 0) {
+      forceX[i] += (sumVX / neighbors - vx[i]) * alignment + (sumX / neighbors - px) * cohesion;
+      forceY[i] += (sumVY / neighbors - vy[i]) * alignment + (sumY / neighbors - py) * cohesion;
+    }
+  }
+}
+
+// Scratch sample for applyObstacleForces
+const obstacleSample = { distance: 0, gradX: 0, gradY: 0 };
+
+/**
+ * Accumulate a push out of obstacle regions
+ * The push ramps up smoothly from zero at `margin` pixels outside an
+ * obstacle to full strength at its (padded) edge and inside it.
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {Object} field - Signed-distance field from buildObstacleField()
+ * @param {number} margin - Distance outside obstacles where the push starts
+ * @param {number} strength - Push at the edge (per 60Hz frame)
+ */
+function applyObstacleForces(store, field, margin, strength) {
+  const { count, x, y, forceX, forceY } = store;
+
+  for (let i = 0; i < count; i++) {
+    const { distance, gradX, gradY } = sampleObstacleField(field, x[i], y[i], obstacleSample);
+    if (distance >= margin) continue;
+
+    const t = Math.min(1, 1 - distance / margin);
+    const magnitude = strength * t * t * (3 - 2 * t); // smoothstep
+
+    forceX[i] += gradX * magnitude;
+    forceY[i] += gradY * magnitude;
+  }
 }
 
 /**
  * Update all particles (spring physics simulation step)
  *
- * @param {Array<Particle>} particles - Particle array to update
+ * @param {ParticleStore} store - Particle store to update
  * @param {number} time - Current time (for breathing animation)
- * @param {Object} mouseState - {x, y, radius, strength} for mouse interaction (optional)
+ * @param {Object} mouseState - Pointer state for interaction, see applyPointerForces (optional)
+ * @param {number} dt - Step length in seconds (defaults to one 60Hz frame)
  */
-function updateParticles(particles, time, mouseState = null) {
+function updateParticles(store, time, mouseState = null, dt = REFERENCE_STEP) {
+  const { count } = store;
+
   // Check if most particles have settled (for performance optimization)
   let settledCount = 0;
-  const checkSampleSize = Math.min(50, particles.length);
+  const checkSampleSize = Math.min(50, count);
 
   for (let i = 0; i < checkSampleSize; i++) {
-    if (particles[i].isSettled()) settledCount++;
+    if (store.isSettled(i)) settledCount++;
   }
 
   const isSettled = settledCount > checkSampleSize * 0.8; // 80% threshold
 
-  // Update each particle
-  for (const particle of particles) {
-    // Apply mouse repulsion if mouse state provided
-    if (mouseState && mouseState.active) {
-      particle.applyRepelForce(
-        mouseState.x,
-        mouseState.y,
-        mouseState.radius ?? 150,
-        mouseState.strength ?? 0.5
-      );
+  // Apply pointer interaction if mouse state provided
+  if (mouseState && mouseState.active) {
+    applyPointerForces(store, mouseState);
+  }
+
+  const {
+    x, y, vx, vy, targetX, targetY, forceX, forceY,
+    opacity, targetOpacity, breathPhase, breathSpeed,
+    springStrength, friction, breathAmplitude, opacityTransitionSpeed
+  } = store;
+  const breathe = isSettled && breathAmplitude > 0;
+  const { stiffness, damping, scale } = getSpringCoefficients(springStrength, friction, dt);
+  const opacityBlend = 1 - Math.pow(1 - opacityTransitionSpeed, scale);
+
+  for (let i = 0; i < count; i++) {
+    // Smoothly transition opacity toward target
+    opacity[i] += (targetOpacity[i] - opacity[i]) * opacityBlend;
+
+    // Calculate breathing offset (circular sway around target)
+    let breathOffsetX = 0;
+    let breathOffsetY = 0;
+
+    if (breathe) {
+      breathPhase[i] += breathSpeed[i] * scale;
+      breathOffsetX = Math.cos(breathPhase[i]) * breathAmplitude;
+      breathOffsetY = Math.sin(breathPhase[i]) * breathAmplitude;
     }
 
-    particle.update(time, isSettled);
+    // Spring force toward effective target, plus external forces
+    const totalForceX = (targetX[i] + breathOffsetX - x[i]) * stiffness + forceX[i] * scale;
+    const totalForceY = (targetY[i] + breathOffsetY - y[i]) * stiffness + forceY[i] * scale;
+
+    // Update velocity with friction, then position (semi-implicit Euler)
+    vx[i] = (vx[i] + totalForceX) * damping;
+    vy[i] = (vy[i] + totalForceY) * damping;
+    x[i] += vx[i] * scale;
+    y[i] += vy[i] * scale;
+
+    // Reset external forces (recalculated each frame)
+    forceX[i] = 0;
+    forceY[i] = 0;
   }
 }
 
 /**
- * Render all particles to canvas (batched for performance)
- * Uses single fillStyle when possible to minimize state changes
+ * Group particle indices by palette color (counting sort)
+ * Scratch arrays are cached on the store and reused across frames.
  *
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Array<Particle>} particles - Particles to render
+ * @param {ParticleStore} store - Particle store
+ * @param {Uint32Array} colorIndex - Palette index per particle (default: store.colorIndex)
+ * @param {number} paletteSize - Number of palette entries (default: store.palette.length)
+ * @returns {{order: Uint32Array, starts: Uint32Array}} Indices sorted by color and batch start offsets
  */
-function renderParticles(ctx, particles) {
-  // Batch particles by color for fewer state changes
-  const colorBatches = new Map();
+function batchByColor(store, colorIndex = store.colorIndex, paletteSize = store.palette.length) {
+  const { count } = store;
 
-  for (const particle of particles) {
-    if (!colorBatches.has(particle.color)) {
-      colorBatches.set(particle.color, []);
-    }
-    colorBatches.get(particle.color).push(particle);
+  if (!store.batchOrder || store.batchOrder.length < store.capacity) {
+    store.batchOrder = new Uint32Array(store.capacity);
   }
+  if (!store.batchStarts || store.batchStarts.length < paletteSize + 1) {
+    store.batchStarts = new Uint32Array(paletteSize + 1);
+  }
+
+  const order = store.batchOrder;
+  const starts = store.batchStarts;
+  starts.fill(0);
+
+  // Count particles per color, then prefix-sum into start offsets
+  for (let i = 0; i < count; i++) starts[colorIndex[i] + 1]++;
+  for (let c = 1; c <= paletteSize; c++) starts[c] += starts[c - 1];
+
+  const cursor = starts.slice(0, paletteSize);
+  for (let i = 0; i < count; i++) order[cursor[colorIndex[i]]++] = i;
+
+  return { order, starts };
+}
+
+/**
+ * Render all particles to canvas (batched for performance)
+ * Uses single fillStyle per palette color to minimize state changes
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {ParticleStore} store - Particles to render
+ * @param {Array<string>} palette - Display color per palette index (default: store.palette)
+ * @param {Uint32Array} colorIndex - Palette index per particle (default: store.colorIndex)
+ */
+function renderParticles(ctx, store, palette = store.palette, colorIndex = store.colorIndex) {
+  const { x, y, size, opacity } = store;
+  const { order, starts } = batchByColor(store, colorIndex, palette.length);
 
   // Render each color batch
-  for (const [color, batch] of colorBatches) {
-    ctx.fillStyle = color;
+  for (let c = 0; c < palette.length; c++) {
+    const start = starts[c];
+    const end = starts[c + 1];
+    if (start === end) continue;
+
+    ctx.fillStyle = palette[c];
+
+    for (let k = start; k < end; k++) {
+      const i = order[k];
 
-    for (const particle of batch) {
       // Set opacity for this particle
-      ctx.globalAlpha = particle.opacity;
+      ctx.globalAlpha = opacity[i];
 
       // Round positions for pixel-perfect rendering
       ctx.fillRect(
-        Math.round(particle.x - particle.size / 2),
-        Math.round(particle.y - particle.size / 2),
-        particle.size,
-        particle.size
+        Math.round(x[i] - size[i] / 2),
+        Math.round(y[i] - size[i] / 2),
+        size[i],
+        size[i]
       );
     }
   }
@@ -329,6 +1137,165 @@ function renderParticles(ctx, particles) {
   ctx.globalAlpha = 1.0;
 }
 
+// Particles fainter than this neither start nor receive links
+const LINK_MIN_OPACITY = 0.05;
+
+// Per-particle link counts are stored as bytes
+const LINK_MAX_PER_PARTICLE = 255;
+
+/**
+ * Find constellation links between nearby particles
+ * Link alpha fades with distance (and with distance from the nearest pointer
+ * in pointer-only mode) and is quantized into `levels` batches so each batch
+ * strokes with one alpha. Scratch arrays are cached on the store.
+ *
+ * @param {ParticleStore} store - Particle store
+ * @param {SpatialHash} hash - Spatial hash built from the store's positions
+ * @param {Object} options - Link options
+ * @param {number} options.distance - Maximum link length in pixels
+ * @param {number} options.maxLinks - Maximum links per particle (clamped to 255)
+ * @param {number} options.levels - Alpha quantization steps (default: 8)
+ * @param {Array<{x: number, y: number}>|null} options.pointers - Only link near these points (default: null = everywhere)
+ * @param {number} options.pointerRadius - Reach around each pointer in pixels
+ * @returns {{segments: Float32Array, starts: Uint32Array, levels: number}} Segments (x1, y1, x2, y2) sorted by alpha level, and batch start offsets
+ */
+function buildLinks(store, hash, options) {
+  const { distance, levels = 8, pointers = null, pointerRadius = 0 } = options;
+  const maxLinks = Math.max(0, Math.min(LINK_MAX_PER_PARTICLE, Math.floor(options.maxLinks)));
+  const { count, capacity, x, y, opacity } = store;
+  const { cellStart, items, cols } = hash;
+
+  // Each link uses up one slot on both ends
+  const maxSegments = Math.ceil((capacity * maxLinks) / 2);
+  if (!store.linkScratch || store.linkScratch.linkCount.length < capacity ||
+      store.linkScratch.level.length < maxSegments) {
+    store.linkScratch = {
+      linkCount: new Uint8Array(capacity),
+      focus: new Float32Array(capacity),
+      raw: new Float32Array(maxSegments * 4),
+      level: new Uint8Array(maxSegments),
+      segments: new Float32Array(maxSegments * 4)
+    };
+  }
+  if (!store.linkStarts || store.linkStarts.length < levels + 1) {
+    store.linkStarts = new Uint32Array(levels + 1);
+  }
+
+  const { linkCount, focus, raw, level, segments } = store.linkScratch;
+  const starts = store.linkStarts;
+  const distanceSq = distance * distance;
+
+  // Per-particle weight: opacity, times pointer proximity in pointer-only mode
+  for (let i = 0; i < count; i++) {
+    linkCount[i] = 0;
+    let weight = opacity[i] < LINK_MIN_OPACITY ? 0 : opacity[i];
+
+    if (pointers && weight > 0) {
+      let nearest = 0;
+      for (const pointer of pointers) {
+        const proximity = 1 - Math.hypot(x[i] - pointer.x, y[i] - pointer.y) / pointerRadius;
+        nearest = Math.max(nearest, proximity);
+      }
+      weight *= nearest;
+    }
+
+    focus[i] = weight;
+  }
+
+  let total = 0;
+  starts.fill(0, 0, levels + 1);
+
+  for (let i = 0; i < count && total < maxSegments; i++) {
+    if (focus[i] <= 0) continue;
+
+    const px = x[i];
+    const py = y[i];
+    const colEnd = hash.col(px + distance);
+    const rowEnd = hash.row(py + distance);
+
+    for (let row = hash.row(py - distance); row <= rowEnd && linkCount[i] < maxLinks; row++) {
+      for (let col = hash.col(px - distance); col <= colEnd && linkCount[i] < maxLinks; col++) {
+        const cell = row * cols + col;
+
+        for (let k = cellStart[cell]; k < cellStart[cell + 1] && linkCount[i] < maxLinks; k++) {
+          const j = items[k];
+
+          // Each pair is considered once, from its lower index
+          if (j <= i || focus[j] <= 0 || linkCount[j] >= maxLinks) continue;
+
+          const dx = x[j] - px;
+          const dy = y[j] - py;
+          const distSq = dx * dx + dy * dy;
+          if (distSq >= distanceSq) continue;
+
+          const alpha = (1 - Math.sqrt(distSq) / distance) * Math.min(focus[i], focus[j]);
+          const step = Math.min(levels, Math.round(alpha * levels));
+          if (step === 0) continue;
+
+          raw[total * 4] = px;
+          raw[total * 4 + 1] = py;
+          raw[total * 4 + 2] = x[j];
+          raw[total * 4 + 3] = y[j];
+          level[total] = step - 1;
+          starts[step]++;
+          total++;
+
+          linkCount[i]++;
+          linkCount[j]++;
+        }
+      }
+    }
+  }
+
+  // Counting sort by alpha level
+  for (let l = 1; l <= levels; l++) {
+    starts[l] += starts[l - 1];
+  }
+  for (let n = 0; n < total; n++) {
+    const slot = starts[level[n]]++;
+    segments.set(raw.subarray(n * 4, n * 4 + 4), slot * 4);
+  }
+  for (let l = levels; l > 0; l--) {
+    starts[l] = starts[l - 1];
+  }
+  starts[0] = 0;
+
+  return { segments, starts, levels };
+}
+
+/**
+ * Render constellation links to canvas (one stroke per alpha level)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} links - Links from buildLinks()
+ * @param {string} color - Stroke color
+ * @param {number} lineWidth - Stroke width
+ */
+function renderLinks(ctx, links, color, lineWidth = 1) {
+  const { segments, starts, levels } = links;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+
+  for (let l = 0; l < levels; l++) {
+    const start = starts[l];
+    const end = starts[l + 1];
+    if (start === end) continue;
+
+    ctx.globalAlpha = (l + 1) / levels;
+    ctx.beginPath();
+
+    for (let k = start; k < end; k++) {
+      ctx.moveTo(segments[k * 4], segments[k * 4 + 1]);
+      ctx.lineTo(segments[k * 4 + 2], segments[k * 4 + 3]);
+    }
+
+    ctx.stroke();
+  }
+
+  ctx.globalAlpha = 1.0;
+}
+
 /**
  * Calculate optimal spring parameters for different motion feels
  *
@@ -403,10 +1370,22 @@ function calculateCentroid(targetPositions) {
 // Export all functions and classes
 export {
   Particle,
+  ParticleStore,
   extractParticlePositions,
+  createTextImage,
   initializeParticles,
+  matchNearest,
+  morphParticles,
+  applyPointerForces,
+  applyRepelForces,
+  applyShockwave,
+  applyRectRepulsion,
+  applyObstacleForces,
+  applyNeighborForces,
   updateParticles,
   renderParticles,
+  buildLinks,
+  renderLinks,
   getSpringPreset,
   getReducedMotionConfig,
   calculateCentroid
@@ -0,0 +1,151 @@
+/**
+ * quality.js - Adaptive Quality
+ *
+ * Steps rendering cost down when the frame rate stays below target and back
+ * up when there is headroom. Tiers scale the user's configuration instead of
+ * replacing it, so runtime updateConfig() calls keep working at every tier.
+ *
+ * @module quality
+ */
+
+/**
+ * Quality tiers, most expensive first
+ * - particleScale: multiplier for particleCount (random-position mode)
+ * - densityStep: added to useSamplingDensity (fewer logo samples)
+ * - gridScale: multiplier for the contour gridSize
+ * - maxLevels: cap on the number of contour thresholds
+ */
+export const QUALITY_TIERS = [
+  { name: 'high', particleScale: 1, densityStep: 0, gridScale: 1, maxLevels: Infinity },
+  { name: 'medium', particleScale: 0.7, densityStep: 1, gridScale: 1.25, maxLevels: 4 },
+  { name: 'low', particleScale: 0.45, densityStep: 2, gridScale: 1.5, maxLevels: 3 },
+  { name: 'minimal', particleScale: 0.25, densityStep: 3, gridScale: 2, maxLevels: 2 },
+];
+
+/**
+ * Pick evenly spaced thresholds, keeping the outermost levels
+ * @param {number[]} thresholds - Isoline thresholds
+ * @param {number} count - Maximum number of levels
+ * @returns {number[]} Selected thresholds
+ */
+export function selectLevels(thresholds, count) {
+  if (thresholds.length <= count) return [...thresholds];
+  if (count <= 1) return [thresholds[Math.floor(thresholds.length / 2)]];
+
+  const step = (thresholds.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => thresholds[Math.round(i * step)]);
+}
+
+/**
+ * Resolve the quality-dependent settings for a tier
+ * @param {AmbientConfig} config - User configuration
+ * @param {number} tier - Index into QUALITY_TIERS
+ * @returns {{particleCount: number, useSamplingDensity: number, gridSize: number, thresholds: number[]}} Effective settings
+ */
+export function resolveQuality(config, tier) {
+  const { particleScale, densityStep, gridScale, maxLevels } = QUALITY_TIERS[tier];
+
+  return {
+    particleCount: Math.max(1, Math.round(config.particleCount * particleScale)),
+    useSamplingDensity: config.useSamplingDensity + densityStep,
+    gridSize: Math.round(config.gridSize * gridScale),
+    thresholds: selectLevels(config.thresholds, maxLevels),
+  };
+}
+
+/**
+ * Creates a governor that picks a quality tier from fps samples
+ * Downgrades after a few slow seconds; upgrades after a longer run at target.
+ * Each downgrade doubles the wait before the next upgrade so a device on the
+ * edge of a tier settles instead of oscillating.
+ *
+ * @param {Object} options - Governor options
+ * @param {number} options.targetFps - Frame rate to sustain (default: 50)
+ * @param {number} options.downgradeAfter - Consecutive slow samples before stepping down (default: 2)
+ * @param {number} options.upgradeAfter - Consecutive fast samples before stepping up (default: 5)
+ * @param {Function} options.onChange - Called with the new tier index
+ * @returns {Object} Governor with sample(fps), hold(samples), setTargetFps(fps) and tier/name getters
+ */
+export function createQualityGovernor(options = {}) {
+  let { targetFps = 50 } = options;
+  const {
+    downgradeAfter = 2,
+    upgradeAfter = 5,
+    onChange = null,
+  } = options;
+
+  const maxTier = QUALITY_TIERS.length - 1;
+  let tier = 0;
+  let slowSamples = 0;
+  let fastSamples = 0;
+  let ignoreSamples = 0;
+  let upgradeWait = upgradeAfter;
+
+  /**
+   * Switches tier and ignores the next samples (reinitialization spikes)
+   * @param {number} next - New tier index
+   */
+  function setTier(next) {
+    tier = next;
+    slowSamples = 0;
+    fastSamples = 0;
+    ignoreSamples = 2;
+    if (onChange) onChange(tier);
+  }
+
+  return {
+    /**
+     * Feed one fps measurement (called once per second)
+     * @param {number} fps - Frames rendered in the last second
+     */
+    sample(fps) {
+      if (ignoreSamples > 0) {
+        ignoreSamples--;
+        return;
+      }
+
+      if (fps < targetFps * 0.9) {
+        slowSamples++;
+        fastSamples = 0;
+
+        if (slowSamples >= downgradeAfter && tier < maxTier) {
+          upgradeWait = Math.min(upgradeWait * 2, 60);
+          setTier(tier + 1);
+        }
+      } else if (fps >= targetFps) {
+        fastSamples++;
+        slowSamples = 0;
+
+        if (fastSamples >= upgradeWait && tier > 0) {
+          setTier(tier - 1);
+        }
+      } else {
+        slowSamples = 0;
+        fastSamples = 0;
+      }
+    },
+
+    /**
+     * Ignore the next samples (e.g. the first second after resuming)
+     * @param {number} samples - Number of samples to skip
+     */
+    hold(samples = 1) {
+      ignoreSamples = Math.max(ignoreSamples, samples);
+      slowSamples = 0;
+      fastSamples = 0;
+    },
+
+    /**
+     * Change the frame rate to sustain; the current streak starts over
+     * @param {number} fps - New target frame rate
+     */
+    setTargetFps(fps) {
+      targetFps = fps;
+      slowSamples = 0;
+      fastSamples = 0;
+    },
+
+    get tier() { return tier; },
+    get name() { return QUALITY_TIERS[tier].name; },
+  };
+}
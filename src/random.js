@@ -0,0 +1,42 @@
+/**
+ * Seeded pseudo-random number generation
+ *
+ * Every random draw in the animation (noise permutation, particle scatter,
+ * sizes, breathing phases) goes through a generator from createRandom(), so a
+ * fixed seed replays the same animation.
+ */
+
+/**
+ * Hash a seed (number or string) into a 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned hash
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+
+  // FNV-1a
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed value; the same seed yields the same sequence
+ * @returns {Function} Generator returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed = Math.random()) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
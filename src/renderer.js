@@ -0,0 +1,104 @@
+/**
+ * Renderer backends
+ *
+ * Both backends expose the same interface so the orchestrator never touches a
+ * drawing context directly:
+ * - resize(width, height, dpr) - size the backing store for CSS dimensions
+ * - clear() - clear the frame to transparent
+ * - drawContours(levels, color, lineWidth) - stroke per-threshold polyline lists
+ * - drawBands(bands) - fill isoband polygons, one {polygons, color} per band
+ * - drawLinks(links, color, lineWidth) - stroke constellation links from
+ *   buildLinks(), one alpha per batch
+ * - drawParticles(store, palette, colorIndex) - draw all particles in a
+ *   ParticleStore, optionally with display colors and per-particle palette
+ *   indices replacing store.palette and store.colorIndex
+ * - destroy() - release resources and clear the canvas
+ */
+
+import { renderPolylines, renderBands } from './contours.js';
+import { renderParticles, renderLinks } from './particles.js';
+import { createWebGLRenderer } from './webgl.js';
+
+/**
+ * Create the Canvas 2D renderer (reference implementation)
+ * @param {HTMLCanvasElement} canvas - Target canvas element
+ * @returns {Object} Renderer
+ */
+export function createCanvasRenderer(canvas) {
+  const ctx = canvas.getContext('2d', { alpha: true });
+  let width = 0;
+  let height = 0;
+
+  return {
+    type: 'canvas2d',
+
+    resize(cssWidth, cssHeight, dpr) {
+      width = cssWidth;
+      height = cssHeight;
+
+      // Set canvas buffer size (accounting for DPI)
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+
+      // Scale context to match DPI
+      ctx.scale(dpr, dpr);
+
+      // Set rendering optimizations
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+    },
+
+    clear() {
+      ctx.clearRect(0, 0, width, height);
+    },
+
+    drawContours(levels, color, lineWidth = 1) {
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+
+      for (const polylines of levels) {
+        renderPolylines(ctx, polylines, color, lineWidth);
+      }
+    },
+
+    drawBands(bands) {
+      for (const { polygons, color } of bands) {
+        renderBands(ctx, polygons, color);
+      }
+    },
+
+    drawLinks(links, color, lineWidth = 1) {
+      ctx.lineCap = 'round';
+      renderLinks(ctx, links, color, lineWidth);
+    },
+
+    drawParticles(store, palette = store.palette, colorIndex = store.colorIndex) {
+      renderParticles(ctx, store, palette, colorIndex);
+    },
+
+    destroy() {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+  };
+}
+
+/**
+ * Create a renderer for the requested backend
+ * Falls back to Canvas 2D when WebGL2 is unavailable. WebGL2 support is
+ * probed on a throwaway canvas first, so a fallback always gets a canvas
+ * that can still hand out a 2D context.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas element
+ * @param {string} type - 'webgl2' or 'canvas2d'
+ * @returns {Object} Renderer
+ */
+export function createRenderer(canvas, type = 'canvas2d') {
+  if (type === 'webgl2') {
+    const renderer = createWebGLRenderer(canvas);
+    if (renderer) return renderer;
+
+    console.warn('WebGL2 is not available, falling back to Canvas 2D rendering');
+  }
+
+  return createCanvasRenderer(canvas);
+}
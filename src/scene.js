@@ -0,0 +1,1354 @@
+/**
+ * scene.js - Simulation Core
+ *
+ * Owns the noise field, contour extraction, particle physics and rendering for
+ * one canvas. Has no DOM dependencies so the same pipeline can run on the main
+ * thread or inside a Web Worker against an OffscreenCanvas.
+ *
+ * The orchestrator (ambient.js) measures the canvas, loads the logo and
+ * forwards input; every scene method takes structured-cloneable arguments so
+ * it can be invoked across a worker boundary.
+ *
+ * @module scene
+ */
+
+import { createFBM, sampleCurl } from './noise.js';
+import { contourPolylines, smoothPolyline, isobands } from './contours.js';
+import {
+  ParticleStore,
+  initializeParticles,
+  morphParticles,
+  applyPointerForces,
+  applyShockwave,
+  applyRectRepulsion,
+  applyObstacleForces,
+  applyNeighborForces,
+  buildLinks,
+  updateParticles,
+  getSpringPreset
+} from './particles.js';
+import { REFERENCE_STEP, getSpringCoefficients } from './spring.js';
+import { createRenderer } from './renderer.js';
+import { sampleRamp, mixColors, tintColor } from './color.js';
+import { createRandom } from './random.js';
+import { buildObstacleField, sampleObstacleField } from './obstacles.js';
+import { SpatialHash } from './spatial.js';
+
+/**
+ * Schedule the next frame
+ * Dedicated workers without requestAnimationFrame fall back to a 60Hz timer.
+ */
+const requestFrame = typeof requestAnimationFrame === 'function'
+  ? callback => requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+  ? id => cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+// Ripple waves per second in 'ripple' interaction mode
+const RIPPLE_FREQUENCY = 1.5;
+
+// Share of the scroll range over which particle departures are staggered
+const SCROLL_STAGGER = 0.4;
+
+// A particle counts as in place within this many pixels (plus px/frame of speed)
+const ASSEMBLED_THRESHOLD = 2;
+
+// Share of particles that must be in place; a hovering pointer holds some off
+const ASSEMBLED_SHARE = 0.95;
+
+// Gap between an element and the particle outline gathered around it (px)
+const OUTLINE_GAP = 12;
+
+// Passes used to slide the logo's goal out of overlapping obstacles
+const LOGO_AVOID_PASSES = 3;
+
+// Physics step bounds (seconds); the default matches AmbientConfig
+const DEFAULT_TIME_STEP = 1 / 120;
+const MIN_TIME_STEP = 1 / 1000;
+
+/**
+ * Validates a fixedTimeStep value
+ * Zero, negative or non-finite steps would never drain the accumulator.
+ * @param {number} step - Requested step in seconds
+ * @returns {number} Usable step in seconds
+ */
+function resolveTimeStep(step) {
+  if (typeof step !== 'number' || !Number.isFinite(step) || step <= 0) {
+    console.warn(`Invalid fixedTimeStep ${step}, using ${DEFAULT_TIME_STEP}`);
+    return DEFAULT_TIME_STEP;
+  }
+  return Math.max(MIN_TIME_STEP, step);
+}
+
+/**
+ * Eased per-particle choreography amount for a scroll progress
+ * @param {number} progress - Scroll progress (0 = assembled, 1 = fully out)
+ * @param {number} stagger - Particle's departure delay (0-1)
+ * @returns {number} Blend from assembled (0) to disassembled (1)
+ */
+function choreographyAmount(progress, stagger) {
+  const t = Math.max(0, Math.min(1, progress * (1 + SCROLL_STAGGER) - stagger * SCROLL_STAGGER));
+  return t * t * (3 - 2 * t); // smoothstep
+}
+
+/**
+ * Creates the simulation and rendering pipeline for a canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Target canvas
+ * @param {AmbientConfig} options - Resolved configuration
+ * @param {Object} hooks - Host callbacks
+ * @param {boolean} hooks.prefersReducedMotion - Freeze contour drift
+ * @param {Function} hooks.onStats - Called with getStats() once per second
+ * @param {Function} hooks.onEvent - Called with (type, detail) for 'assembled' and 'frame'
+ * @returns {Object} Scene API
+ */
+export function createScene(canvas, options, hooks = {}) {
+  const config = { ...options };
+  config.fixedTimeStep = resolveTimeStep(config.fixedTimeStep ?? DEFAULT_TIME_STEP);
+  const { onStats = null, onEvent = null } = hooks;
+  let reducedMotion = hooks.prefersReducedMotion ?? false;
+
+  // Frame loop state
+  let frameId = null;
+  let time = 0;
+  let lastFrameTime = 0;
+  let fps = 0;
+  let frameCount = 0;
+  let lastFpsUpdate = 0;
+  let accumulator = 0;
+  let elapsed = 0;       // Simulated seconds (drives ripple phase)
+
+  // Lifecycle events: 'assembled' fires once per set of targets, 'frame' on request
+  let isAssembled = false;
+  let frameEvents = false;
+
+  // Canvas and renderer backend
+  const renderer = createRenderer(canvas, config.renderer);
+  let width = 0;
+  let height = 0;
+
+  // Core systems
+  let fbm = null;
+  let noiseField = null;
+  let deformField = null;  // Pointer trail pressed into the contour field
+  let particles = new ParticleStore(0);
+  let cols = 0;
+  let rows = 0;
+
+  // Random source (reseeded on every initialization)
+  let random = Math.random;
+
+  // Logo target positions (null until the host provides them)
+  let targetPositions = null;
+
+  // Active pointers (mouse, fingers, pens) by pointer id: {x, y, pressure, order}
+  const pointers = new Map();
+  let pointerOrder = 0;
+
+  // Expanding click shockwaves: {x, y, age}
+  let shockwaves = [];
+
+  // Reaction to a hovered/focused interactive element: {type, rect, radius} or null
+  let interaction = null;
+
+  // Obstacles (e.g. the headline) as rectangles and their distance field
+  let obstacleRects = [];
+  let obstacleField = null;
+  const obstacleSample = { distance: 0, gradX: 0, gradY: 0 };
+
+  // Scratch flow vector for idleMotion: 'flow'
+  const flowSample = { x: 0, y: 0 };
+
+  // Neighbour lookups for separation, flocking and links (rebuilt on use)
+  const spatialHash = new SpatialHash();
+
+  // Theme colors; setTheme() cross-fades from the previous theme
+  const theme = {
+    from: null,
+    to: { contourColor: config.contourColor, particleColor: config.particleColor ?? null },
+    progress: 1,
+    duration: 0
+  };
+
+  // Display palette for the settled theme (rebuilt when the store or palette changes)
+  let themedPalette = null;
+  let themedPaletteStore = null;
+
+  // Per-frame ramp indices for the dynamic particle color modes
+  let rampIndex = new Uint32Array(0);
+
+  // Scroll choreography (progress is scrubbed by the host, not by time)
+  const scroll = {
+    progress: 0,
+    targetX: 0,          // Stream destination in canvas CSS pixels
+    targetY: 0,
+    hasTarget: false
+  };
+
+  // Logo state (for smooth mouse following)
+  const logoState = {
+    centerX: 0,          // Current logo center position
+    centerY: 0,
+    targetCenterX: 0,    // Where logo wants to be (mouse or canvas center)
+    targetCenterY: 0,
+    velocityX: 0,        // Logo's own velocity for spring physics
+    velocityY: 0,
+    initialCenterX: 0,   // Original center position (canvas center)
+    initialCenterY: 0,
+    springStrength: config.logoSpringStrength,  // From config
+    friction: config.logoFriction,              // From config
+    isFollowingMouse: false
+  };
+
+  /**
+   * Initializes all animation systems
+   */
+  function initializeSystems() {
+    // Fresh generator per initialization so a fixed seed replays identically
+    random = createRandom(config.seed ?? Math.random());
+
+    // Create FBM noise generator seeded from the same stream
+    fbm = createFBM(random());
+
+    initializeGrid();
+    initializeObstacleField();
+
+    // Initialize logo center position
+    initializeLogoState();
+
+    // Initialize particles
+    initializeParticleSystem();
+  }
+
+  /**
+   * Sizes the marching-squares grid and noise field for the canvas
+   */
+  function initializeGrid() {
+    // Calculate grid dimensions for marching squares
+    cols = Math.ceil(width / config.gridSize) + 1;
+    rows = Math.ceil(height / config.gridSize) + 1;
+
+    // Initialize noise field
+    noiseField = new Float32Array(cols * rows);
+    deformField = new Float32Array(cols * rows);
+  }
+
+  /**
+   * Rebuilds the obstacle distance field for the current canvas size
+   */
+  function initializeObstacleField() {
+    obstacleField = buildObstacleField(obstacleRects, width, height, {
+      cellSize: config.obstacleCellSize,
+      padding: config.obstaclePadding
+    });
+  }
+
+  /**
+   * Builds particles from the current target positions
+   */
+  function initializeParticleSystem() {
+    const physicsConfig = getSpringPreset(config.particleSpringFeel);
+    isAssembled = false;
+
+    if (targetPositions === null) {
+      // Logo still loading: stay empty until setTargets() arrives
+      particles = config.logoSvgUrl || config.shapes?.length
+        ? new ParticleStore(0)
+        : initializeParticles(createRandomPositions(), { width, height }, physicsConfig, random);
+      return;
+    }
+
+    // Initialize particles at random positions, spring toward logo
+    particles = initializeParticles(
+      targetPositions.length > 0 ? targetPositions : createRandomPositions(),
+      { width, height },
+      physicsConfig,
+      random
+    );
+  }
+
+  /**
+   * Create random particle target positions as fallback
+   * @returns {Array} Array of {x, y, color} objects
+   */
+  function createRandomPositions() {
+    const positions = [];
+    for (let i = 0; i < config.particleCount; i++) {
+      positions.push({
+        x: random() * width,
+        y: random() * height,
+        color: 'rgba(255, 255, 255, 0.8)'
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Initialize logo center position to canvas center
+   */
+  function initializeLogoState() {
+    logoState.centerX = width / 2;
+    logoState.centerY = height / 2;
+    logoState.targetCenterX = width / 2;
+    logoState.targetCenterY = height / 2;
+    logoState.initialCenterX = width / 2;
+    logoState.initialCenterY = height / 2;
+    logoState.velocityX = 0;
+    logoState.velocityY = 0;
+    logoState.isFollowingMouse = false;
+  }
+
+  /**
+   * Noise options for the contour field (shared with the flow field)
+   * @param {number} currentTime - Current animation time
+   * @returns {Object} Options for fbm()
+   */
+  function noiseOptions(currentTime) {
+    return {
+      octaves: config.octaves,
+      frequency: 1,
+      lacunarity: config.lacunarity,
+      persistence: config.persistence,
+      time: currentTime,
+      mode: config.noiseMode,
+      warpStrength: config.warpStrength
+    };
+  }
+
+  /**
+   * Updates noise field for contour generation
+   * @param {number} currentTime - Current animation time
+   */
+  function updateNoiseField(currentTime) {
+    const options = noiseOptions(currentTime);
+
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const x = i * config.gridSize;
+        const y = j * config.gridSize;
+        const index = j * cols + i;
+
+        // Sample noise with time as the third axis
+        noiseField[index] = fbm(
+          x * config.baseFrequency,
+          y * config.baseFrequency,
+          options
+        );
+      }
+    }
+  }
+
+  /**
+   * Adds a gaussian bump (or ring) to a grid-aligned field
+   * @param {Float32Array} field - Field to add to (cols x rows)
+   * @param {number} x - Center x in canvas CSS pixels
+   * @param {number} y - Center y in canvas CSS pixels
+   * @param {number} amount - Peak height in field units (negative dents)
+   * @param {number} radius - Reach of the bump beyond its crest in pixels
+   * @param {number} ringRadius - Crest distance from the center (0 = a bump)
+   */
+  function addFieldBump(field, x, y, amount, radius, ringRadius = 0) {
+    const sigma = radius / 2;
+    const reach = ringRadius + radius;
+    const { gridSize } = config;
+
+    const colStart = Math.max(0, Math.floor((x - reach) / gridSize));
+    const colEnd = Math.min(cols - 1, Math.ceil((x + reach) / gridSize));
+    const rowStart = Math.max(0, Math.floor((y - reach) / gridSize));
+    const rowEnd = Math.min(rows - 1, Math.ceil((y + reach) / gridSize));
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        const offset = Math.hypot(col * gridSize - x, row * gridSize - y) - ringRadius;
+        if (Math.abs(offset) > radius) continue;
+
+        field[row * cols + col] += amount * Math.exp(-(offset * offset) / (2 * sigma * sigma));
+      }
+    }
+  }
+
+  /**
+   * Bends the contour field around the pointers and click ripples
+   * Pointers press a bump into a trail that relaxes over contourDeformDecay;
+   * shockwaves add a travelling ring. Runs before marching squares so the
+   * isolines (and the 'field' color mode) follow the deformation.
+   * @param {number} deltaTime - Frame time in seconds
+   */
+  function deformNoiseField(deltaTime) {
+    if (!config.contourDeform) return;
+
+    // Exponential approach: a resting pointer builds up to the full strength
+    const keep = Math.exp(-(deltaTime * 1000) / Math.max(1, config.contourDeformDecay));
+    for (let i = 0; i < deformField.length; i++) {
+      deformField[i] *= keep;
+    }
+
+    for (const pointer of pointers.values()) {
+      const amount = config.contourDeformStrength * (0.5 + pointer.pressure) * (1 - keep);
+      addFieldBump(deformField, pointer.x, pointer.y, amount, config.contourDeformRadius);
+    }
+
+    for (let i = 0; i < noiseField.length; i++) {
+      noiseField[i] += deformField[i];
+    }
+
+    const maxRadius = Math.hypot(width, height);
+    for (const wave of shockwaves) {
+      const radius = wave.age * config.shockwaveSpeed;
+      const amount = config.contourDeformStrength * (1 - radius / maxRadius);
+      addFieldBump(noiseField, wave.x, wave.y, amount, config.shockwaveWidth, radius);
+    }
+  }
+
+  /**
+   * Builds filled isobands between consecutive thresholds
+   * Band colors are sampled evenly along config.bandPalette, lowest band first.
+   * @returns {Array<{polygons: Array, color: string}>} Bands to fill
+   */
+  function buildBands() {
+    const thresholds = [...config.thresholds].sort((a, b) => a - b);
+    const bandCount = thresholds.length - 1;
+    const bands = [];
+
+    for (let i = 0; i < bandCount; i++) {
+      bands.push({
+        polygons: isobands(noiseField, cols, rows, thresholds[i], thresholds[i + 1], config.gridSize),
+        color: sampleRamp(config.bandPalette, bandCount > 1 ? i / (bandCount - 1) : 0)
+      });
+    }
+
+    return bands;
+  }
+
+  /**
+   * Display color of a source particle color under a theme
+   * @param {string} color - Source color (from the logo pixels)
+   * @param {Object} colors - Theme colors
+   * @returns {string} CSS color string
+   */
+  function themeParticleColor(color, colors) {
+    return colors.particleColor ? tintColor(color, colors.particleColor) : color;
+  }
+
+  /**
+   * Builds the particle display palette for a theme and color mode
+   * 'source' themes the logo's own colors; 'solid' is a single entry; the
+   * ramp modes quantize config.particleRamp into particleColorLevels entries.
+   * @param {Object} colors - Theme colors
+   * @returns {Array<string>} Display colors, indexed like the mode's color indices
+   */
+  function buildParticlePalette(colors) {
+    switch (config.particleColorMode) {
+      case 'solid':
+        return [colors.particleColor ?? config.particleRamp[0]];
+
+      case 'gradient':
+      case 'velocity':
+      case 'field': {
+        const levels = Math.max(2, config.particleColorLevels);
+        return Array.from({ length: levels }, (_, i) => sampleRamp(config.particleRamp, i / (levels - 1)));
+      }
+
+      default:
+        return particles.palette.map(color => themeParticleColor(color, colors));
+    }
+  }
+
+  /**
+   * Resolves contour and particle display colors for the current frame
+   * @returns {{contourColor: string, particlePalette: Array<string>}} Display colors
+   */
+  function resolveThemeColors() {
+    if (theme.progress < 1 && theme.from) {
+      const t = theme.progress * theme.progress * (3 - 2 * theme.progress); // smoothstep
+      const to = buildParticlePalette(theme.to);
+      // A fade that interrupted another starts from the blended palette it froze
+      const from = theme.from.palette?.length === to.length ? theme.from.palette : buildParticlePalette(theme.from);
+      return {
+        contourColor: mixColors(theme.from.contourColor, theme.to.contourColor, t),
+        particlePalette: to.map((color, i) => mixColors(from[i], color, t))
+      };
+    }
+
+    // Untinted source colors need no mapping
+    if (config.particleColorMode === 'source' && !theme.to.particleColor) {
+      return { contourColor: theme.to.contourColor, particlePalette: particles.palette };
+    }
+
+    if (themedPaletteStore !== particles || themedPalette.length !== particles.palette.length) {
+      themedPalette = buildParticlePalette(theme.to);
+      themedPaletteStore = particles;
+    }
+
+    return { contourColor: theme.to.contourColor, particlePalette: themedPalette };
+  }
+
+  /**
+   * Samples the noise field at a canvas position (bilinear)
+   * @param {number} px - X in canvas CSS pixels
+   * @param {number} py - Y in canvas CSS pixels
+   * @returns {number} Noise value in [-1, 1]
+   */
+  function sampleNoiseField(px, py) {
+    const gx = Math.max(0, Math.min(cols - 1.001, px / config.gridSize));
+    const gy = Math.max(0, Math.min(rows - 1.001, py / config.gridSize));
+    const col = Math.floor(gx);
+    const row = Math.floor(gy);
+    const fx = gx - col;
+    const fy = gy - row;
+    const i = row * cols + col;
+
+    const top = noiseField[i] + (noiseField[i + 1] - noiseField[i]) * fx;
+    const bottom = noiseField[i + cols] + (noiseField[i + cols + 1] - noiseField[i + cols]) * fx;
+    return top + (bottom - top) * fy;
+  }
+
+  /**
+   * Computes per-particle palette indices for the current color mode
+   * Values are quantized to particleColorLevels so rendering keeps a handful
+   * of color batches.
+   * @returns {Uint32Array} Palette index per particle
+   */
+  function computeColorIndices() {
+    const mode = config.particleColorMode;
+    if (mode !== 'solid' && mode !== 'gradient' && mode !== 'velocity' && mode !== 'field') {
+      return particles.colorIndex;
+    }
+
+    const { count, capacity, x, y, vx, vy, offsetX, offsetY } = particles;
+    if (rampIndex.length < capacity) rampIndex = new Uint32Array(capacity);
+    if (mode === 'solid') return rampIndex.fill(0);
+
+    const levels = Math.max(2, config.particleColorLevels);
+    const toIndex = t => Math.min(levels - 1, Math.max(0, Math.floor(t * levels)));
+
+    if (mode === 'gradient') {
+      // Project onto the gradient direction, normalized to the logo's extent
+      const angle = (config.particleGradientAngle * Math.PI) / 180;
+      const dirX = Math.cos(angle);
+      const dirY = Math.sin(angle);
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < count; i++) {
+        const projection = offsetX[i] * dirX + offsetY[i] * dirY;
+        min = Math.min(min, projection);
+        max = Math.max(max, projection);
+      }
+
+      const range = Math.max(max - min, 1);
+      for (let i = 0; i < count; i++) {
+        const projection = (x[i] - logoState.centerX) * dirX + (y[i] - logoState.centerY) * dirY;
+        rampIndex[i] = toIndex((projection - min) / range);
+      }
+    } else if (mode === 'velocity') {
+      for (let i = 0; i < count; i++) {
+        rampIndex[i] = toIndex(Math.hypot(vx[i], vy[i]) / config.particleVelocityScale);
+      }
+    } else {
+      for (let i = 0; i < count; i++) {
+        rampIndex[i] = toIndex((sampleNoiseField(x[i], y[i]) + 1) / 2);
+      }
+    }
+
+    return rampIndex;
+  }
+
+  /**
+   * Renders the contour layer using marching squares
+   * Bands (if enabled) are filled first so isolines stroke on top.
+   * @param {string} contourColor - Isoline color for this frame
+   */
+  function renderContours(contourColor) {
+    if (!config.showContours) return;
+
+    const style = config.contourStyle;
+
+    if (style === 'bands' || style === 'both') {
+      renderer.drawBands(buildBands());
+      if (style === 'bands') return;
+    }
+
+    const smoothing = config.contourSmoothing;
+
+    const levels = config.thresholds.map(threshold => {
+      const polylines = contourPolylines(noiseField, cols, rows, threshold, config.gridSize);
+      return smoothing && smoothing !== 'none'
+        ? polylines.map(polyline => smoothPolyline(polyline, { method: smoothing }))
+        : polylines;
+    });
+
+    renderer.drawContours(levels, contourColor, 1);
+  }
+
+  /**
+   * Renders constellation links between nearby particles
+   * With linkNearPointer, links only appear (and fade) around the pointers.
+   * @param {Array<string>} particlePalette - Particle display colors (first is the link fallback)
+   */
+  function renderLinks(particlePalette) {
+    if (!config.showLinks || config.linkDistance <= 0 || particles.count === 0) return;
+
+    const nearPointer = config.linkNearPointer;
+    if (nearPointer && pointers.size === 0) return;
+
+    spatialHash.rebuild(particles.x, particles.y, particles.count, width, height, config.linkDistance);
+
+    const links = buildLinks(particles, spatialHash, {
+      distance: config.linkDistance,
+      maxLinks: config.linkMaxPerParticle,
+      pointers: nearPointer ? [...pointers.values()] : null,
+      pointerRadius: config.mouseRadius
+    });
+
+    const color = config.linkColor ?? particlePalette[0] ?? config.particleRamp[0];
+    renderer.drawLinks(links, color, config.linkWidth);
+  }
+
+  /**
+   * Update logo center position using spring physics
+   * @param {number} dt - Step length in seconds
+   */
+  function updateLogoPosition(dt) {
+    const { stiffness, damping, scale } = getSpringCoefficients(
+      logoState.springStrength,
+      logoState.friction,
+      dt
+    );
+
+    const goal = avoidObstacles(logoState.targetCenterX, logoState.targetCenterY);
+
+    // Calculate displacement from target
+    const dx = goal.x - logoState.centerX;
+    const dy = goal.y - logoState.centerY;
+
+    // Apply spring force, then friction
+    logoState.velocityX = (logoState.velocityX + dx * stiffness) * damping;
+    logoState.velocityY = (logoState.velocityY + dy * stiffness) * damping;
+
+    // Update position (semi-implicit Euler)
+    logoState.centerX += logoState.velocityX * scale;
+    logoState.centerY += logoState.velocityY * scale;
+  }
+
+  /**
+   * Moves a logo goal out of obstacle regions
+   * The goal slides along the distance gradient until it is obstacleMargin
+   * clear of every obstacle, so the logo parks beside the copy, not under it.
+   * @param {number} x - Goal x in canvas CSS pixels
+   * @param {number} y - Goal y in canvas CSS pixels
+   * @returns {{x: number, y: number}} Adjusted goal
+   */
+  function avoidObstacles(x, y) {
+    if (!obstacleField) return { x, y };
+
+    for (let pass = 0; pass < LOGO_AVOID_PASSES; pass++) {
+      const { distance, gradX, gradY } = sampleObstacleField(obstacleField, x, y, obstacleSample);
+      const overlap = config.obstacleMargin - distance;
+      if (overlap <= 0) break;
+
+      x = Math.max(0, Math.min(width, x + gradX * overlap));
+      y = Math.max(0, Math.min(height, y + gradY * overlap));
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * Update all particle target positions based on logo center
+   * While the header scrolls out, targets blend toward a scattered or
+   * streamed position; the springs carry the particles there.
+   */
+  function updateParticleTargets() {
+    if (interaction?.type === 'outline') {
+      updateOutlineTargets(interaction.rect);
+      return;
+    }
+
+    const { count, targetX, targetY, offsetX, offsetY, scatterX, scatterY } = particles;
+    const progress = scroll.progress;
+    const stream = config.scrollChoreography === 'stream' && scroll.hasTarget;
+    const spread = Math.hypot(width, height) / 2;
+
+    for (let i = 0; i < count; i++) {
+      // New target = current logo center + particle's offset from centroid
+      let tx = logoState.centerX + offsetX[i];
+      let ty = logoState.centerY + offsetY[i];
+
+      if (progress > 0) {
+        // Farther-flying particles leave later (reach 0.5-1 maps to stagger 0-1)
+        const reach = Math.hypot(scatterX[i], scatterY[i]);
+        const amount = choreographyAmount(progress, reach * 2 - 1);
+
+        if (stream) {
+          tx += (scroll.targetX - tx) * amount;
+          ty += (scroll.targetY - ty) * amount;
+        } else {
+          tx += (offsetX[i] + scatterX[i] * spread) * amount;
+          ty += (offsetY[i] + scatterY[i] * spread) * amount;
+        }
+      }
+
+      targetX[i] = tx;
+      targetY[i] = ty;
+    }
+  }
+
+  /**
+   * Spreads the live particles evenly around a rectangle's outline
+   * Retiring particles keep their logo targets while they fade out.
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - Element bounds in canvas CSS pixels
+   */
+  function updateOutlineTargets(rect) {
+    const { targetX, targetY } = particles;
+    const live = particles.liveCount;
+
+    const left = rect.left - OUTLINE_GAP;
+    const top = rect.top - OUTLINE_GAP;
+    const w = rect.right - rect.left + OUTLINE_GAP * 2;
+    const h = rect.bottom - rect.top + OUTLINE_GAP * 2;
+    const perimeter = 2 * (w + h);
+
+    for (let i = 0; i < live; i++) {
+      // Walk clockwise from the top-left corner
+      let d = (i / live) * perimeter;
+
+      if (d < w) {
+        targetX[i] = left + d;
+        targetY[i] = top;
+      } else if ((d -= w) < h) {
+        targetX[i] = left + w;
+        targetY[i] = top + d;
+      } else if ((d -= h) < w) {
+        targetX[i] = left + w - d;
+        targetY[i] = top + h;
+      } else {
+        targetX[i] = left;
+        targetY[i] = top + h - (d - w);
+      }
+    }
+  }
+
+  /**
+   * Whether particles drift along the flow field instead of holding targets
+   * Only particles without a logo (random positions, or a failed load) flow.
+   * @returns {boolean} True in idleMotion 'flow' with random positions
+   */
+  function isFlowing() {
+    if (config.idleMotion !== 'flow') return false;
+
+    return targetPositions === null
+      ? !config.logoSvgUrl && !config.shapes?.length
+      : targetPositions.length === 0;
+  }
+
+  /**
+   * Carries particle targets along the curl of the contour noise field
+   * Targets leaving the canvas wrap to the opposite edge, and their particles
+   * jump with them so they don't spring back across the screen.
+   * @param {number} dt - Step length in seconds
+   */
+  function advectTargets(dt) {
+    const { x, y, targetX, targetY } = particles;
+    const live = particles.liveCount;
+    const options = noiseOptions(time);
+    const speed = config.flowSpeed * (dt / REFERENCE_STEP);
+
+    for (let i = 0; i < live; i++) {
+      sampleCurl(fbm, targetX[i] * config.baseFrequency, targetY[i] * config.baseFrequency, options, flowSample);
+      targetX[i] += flowSample.x * speed;
+      targetY[i] += flowSample.y * speed;
+
+      if (targetX[i] < 0 || targetX[i] >= width) {
+        const shift = targetX[i] < 0 ? width : -width;
+        targetX[i] += shift;
+        x[i] += shift;
+      }
+      if (targetY[i] < 0 || targetY[i] >= height) {
+        const shift = targetY[i] < 0 ? height : -height;
+        targetY[i] += shift;
+        y[i] += shift;
+      }
+    }
+  }
+
+  /**
+   * Applies separation and, while the logo is scattered, flocking
+   * Flocking weights scale with the scroll choreography so particles swarm
+   * as the logo breaks apart and settle back into their springs as it forms.
+   */
+  function applyNeighborBehaviours() {
+    const separating = config.separationRadius > 0 && config.separationStrength > 0;
+    const swarm = config.flocking ? choreographyAmount(scroll.progress, 0) : 0;
+    if (!separating && swarm === 0) return;
+
+    const flockRadius = swarm > 0 ? config.flockRadius : 0;
+    const cellSize = Math.max(separating ? config.separationRadius : 0, flockRadius);
+    spatialHash.rebuild(particles.x, particles.y, particles.count, width, height, cellSize);
+
+    applyNeighborForces(particles, spatialHash, {
+      separationRadius: separating ? config.separationRadius : 0,
+      separation: config.separationStrength,
+      flockRadius,
+      alignment: config.alignmentStrength * swarm,
+      cohesion: config.cohesionStrength * swarm
+    });
+  }
+
+  /**
+   * Applies the per-step part of the interactive-element reaction
+   * 'fade-near' hides particles close to the element; 'repel' pushes them off it.
+   */
+  function applyInteraction() {
+    if (!interaction) return;
+
+    const { type, rect, radius } = interaction;
+
+    if (type === 'fade-near') {
+      const { x, y, targetOpacity } = particles;
+      const live = particles.liveCount;
+
+      for (let i = 0; i < live; i++) {
+        const dx = x[i] - Math.max(rect.left, Math.min(rect.right, x[i]));
+        const dy = y[i] - Math.max(rect.top, Math.min(rect.bottom, y[i]));
+        targetOpacity[i] = dx * dx + dy * dy < radius * radius ? 0 : 1.0;
+      }
+    } else if (type === 'repel') {
+      applyRectRepulsion(particles, rect, radius, config.interactiveForce);
+    }
+  }
+
+  /**
+   * Expands click shockwaves and applies their push
+   * Waves weaken as they grow and are dropped past the canvas diagonal.
+   * @param {number} dt - Step length in seconds
+   */
+  function stepShockwaves(dt) {
+    if (shockwaves.length === 0) return;
+
+    const maxRadius = Math.hypot(width, height);
+
+    shockwaves = shockwaves.filter(wave => {
+      wave.age += dt;
+      const radius = wave.age * config.shockwaveSpeed;
+      if (radius > maxRadius) return false;
+
+      applyShockwave(particles, {
+        x: wave.x,
+        y: wave.y,
+        radius,
+        width: config.shockwaveWidth,
+        strength: config.shockwaveStrength * (1 - radius / maxRadius)
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Advances physics by one fixed step
+   * @param {number} dt - Step length in seconds
+   */
+  function stepSimulation(dt) {
+    // Update logo center position with spring physics
+    updateLogoPosition(dt);
+
+    if (isFlowing() && interaction?.type !== 'outline') {
+      // Drift along the flow field (an outline gathers them, then they flow on)
+      advectTargets(dt);
+    } else {
+      // Translate all particle targets based on logo center
+      updateParticleTargets();
+    }
+
+    elapsed += dt;
+
+    // Every active pointer applies its own force field
+    const phase = elapsed * Math.PI * 2 * RIPPLE_FREQUENCY;
+    for (const pointer of pointers.values()) {
+      applyPointerForces(particles, {
+        x: pointer.x,
+        y: pointer.y,
+        radius: config.mouseRadius,
+        // Pen pressure scales the force; 0.5 (the default) is neutral
+        strength: config.mouseForce * (0.5 + pointer.pressure),
+        mode: config.interactionMode,
+        falloff: config.interactionFalloff,
+        phase
+      });
+    }
+
+    stepShockwaves(dt);
+
+    applyInteraction();
+    applyNeighborBehaviours();
+
+    if (obstacleField) {
+      applyObstacleForces(particles, obstacleField, config.obstacleMargin, config.obstacleForce);
+    }
+
+    // Update particles with spring physics (they'll now spring toward moving targets)
+    updateParticles(particles, time, null, dt);
+
+    // Drop particles retired by a morph once they have faded out
+    particles.pruneRetired();
+  }
+
+  /**
+   * Emits 'assembled' once most particles have reached their targets
+   * The random fallback counts too; an empty store (logo loading) does not.
+   */
+  function checkAssembled() {
+    const live = particles.liveCount;
+    if (isAssembled || live === 0 || particles.length !== live) return;
+
+    let settled = 0;
+    for (let i = 0; i < live; i++) {
+      if (particles.isSettled(i, ASSEMBLED_THRESHOLD)) settled++;
+    }
+
+    if (settled >= live * ASSEMBLED_SHARE) {
+      isAssembled = true;
+      if (onEvent) onEvent('assembled', { particleCount: live });
+    }
+  }
+
+  /**
+   * Main animation loop with fixed timestep
+   * Physics advances in fixed increments regardless of display refresh rate;
+   * leftover time carries over to the next frame.
+   * @param {DOMHighResTimeStamp} currentTime - Current timestamp from RAF
+   */
+  function animate(currentTime) {
+    // Calculate delta time (cap at 100ms to prevent spiral of death)
+    const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, 0.1);
+    lastFrameTime = currentTime;
+
+    // Update FPS counter
+    frameCount++;
+    if (currentTime - lastFpsUpdate > 1000) {
+      fps = frameCount;
+      frameCount = 0;
+      lastFpsUpdate = currentTime;
+      if (onStats) onStats(getStats());
+    }
+
+    // Update animation time (timeSpeed is noise-space travel per 60Hz frame)
+    const timeStep = reducedMotion ? 0 : config.timeSpeed;
+    time += (deltaTime / REFERENCE_STEP) * timeStep;
+
+    // Advance a theme cross-fade
+    if (theme.progress < 1) {
+      theme.progress = Math.min(1, theme.progress + (deltaTime * 1000) / theme.duration);
+    }
+
+    // Update systems
+    updateNoiseField(time);
+    deformNoiseField(deltaTime);
+
+    // Step physics in fixed increments
+    const step = config.fixedTimeStep;
+    accumulator += deltaTime;
+    while (accumulator >= step) {
+      stepSimulation(step);
+      accumulator -= step;
+    }
+
+    checkAssembled();
+
+    // Render
+    renderFrame();
+
+    if (frameEvents && onEvent) onEvent('frame', { time: elapsed, deltaTime, fps });
+
+    // Continue animation loop
+    frameId = requestFrame(animate);
+  }
+
+  /**
+   * Renders a complete frame
+   */
+  function renderFrame() {
+    const { contourColor, particlePalette } = resolveThemeColors();
+
+    // Clear canvas (transparent to show background image)
+    renderer.clear();
+
+    // Draw contours first (background layer)
+    renderContours(contourColor);
+
+    // Links sit between contours and particles
+    renderLinks(particlePalette);
+
+    // Draw particles on top
+    if (config.showParticles && particles.length > 0) {
+      renderer.drawParticles(particles, particlePalette, computeColorIndices());
+    }
+  }
+
+  /**
+   * Starts the frame loop
+   */
+  function start() {
+    if (frameId !== null) return;
+
+    lastFrameTime = performance.now();
+
+    // Start a fresh FPS window so paused time and stale frames don't count
+    lastFpsUpdate = lastFrameTime;
+    frameCount = 0;
+    accumulator = 0;
+    frameId = requestFrame(animate);
+  }
+
+  /**
+   * Stops the frame loop
+   */
+  function stop() {
+    if (frameId === null) return;
+
+    cancelFrame(frameId);
+    frameId = null;
+  }
+
+  /**
+   * Resizes the canvas and rebuilds grid and particles for the new bounds
+   * @param {number} cssWidth - Canvas width in CSS pixels
+   * @param {number} cssHeight - Canvas height in CSS pixels
+   * @param {number} dpr - Device pixel ratio
+   */
+  function resize(cssWidth, cssHeight, dpr) {
+    width = cssWidth;
+    height = cssHeight;
+
+    // Size the backing store (renderer applies DPI scaling)
+    renderer.resize(width, height, dpr);
+
+    initializeSystems();
+  }
+
+  /**
+   * Sets particle target positions (e.g. sampled from the logo)
+   * An empty array falls back to random positions.
+   * @param {Array<{x: number, y: number, color: string}>} positions - Target positions
+   */
+  function setTargets(positions) {
+    targetPositions = positions;
+    initializeParticleSystem();
+  }
+
+  /**
+   * Morphs the existing particles onto new target positions
+   * Unlike setTargets(), particles keep their motion and spring to the
+   * nearest new target; surplus particles fade out and missing ones fade in.
+   * @param {Array<{x: number, y: number, color: string}>} positions - Target positions
+   */
+  function morphTo(positions) {
+    if (particles.liveCount === 0 || positions.length === 0) {
+      setTargets(positions);
+      return;
+    }
+
+    targetPositions = positions;
+    particles = morphParticles(particles, positions, random);
+    isAssembled = false;
+
+    // Spawned particles must not show through an active 'fade' reaction
+    if (interaction?.type === 'fade') particles.targetOpacity.fill(0, 0, particles.liveCount);
+  }
+
+  /**
+   * Points the logo at the active pointers
+   * With several pointers the logo follows their centroid, or the most
+   * recently moved one when config.logoFollowTarget is 'latest'.
+   */
+  function updateFollowTarget() {
+    if (pointers.size === 0 || config.enableLogoFollow === false) {
+      // Keep logo at current position (don't snap back to center)
+      logoState.isFollowingMouse = false;
+      return;
+    }
+
+    let targetX = 0;
+    let targetY = 0;
+
+    if (config.logoFollowTarget === 'latest') {
+      let latest = null;
+      for (const pointer of pointers.values()) {
+        if (!latest || pointer.order > latest.order) latest = pointer;
+      }
+      targetX = latest.x;
+      targetY = latest.y;
+    } else {
+      for (const pointer of pointers.values()) {
+        targetX += pointer.x / pointers.size;
+        targetY += pointer.y / pointers.size;
+      }
+    }
+
+    logoState.targetCenterX = targetX;
+    logoState.targetCenterY = targetY;
+    logoState.isFollowingMouse = true;
+  }
+
+  /**
+   * Moves a pointer and points the logo at the active pointers
+   * @param {number} x - Pointer x in canvas CSS pixels
+   * @param {number} y - Pointer y in canvas CSS pixels
+   * @param {number|string} id - Pointer id (default: 0, a single mouse)
+   * @param {number} pressure - Pen pressure 0-1; 0.5 is neutral (default: 0.5)
+   */
+  function pointerMove(x, y, id = 0, pressure = 0.5) {
+    pointers.set(id, { x, y, pressure, order: pointerOrder++ });
+    updateFollowTarget();
+  }
+
+  /**
+   * Starts an expanding shockwave ring (e.g. on click or tap)
+   * @param {number} x - Center x in canvas CSS pixels
+   * @param {number} y - Center y in canvas CSS pixels
+   */
+  function triggerShockwave(x, y) {
+    shockwaves.push({ x, y, age: 0 });
+  }
+
+  /**
+   * Removes a pointer (finger lifted, mouse left the canvas)
+   * @param {number|string|null} id - Pointer id (default: null clears all pointers)
+   */
+  function pointerLeave(id = null) {
+    if (id === null) {
+      pointers.clear();
+    } else {
+      pointers.delete(id);
+    }
+
+    updateFollowTarget();
+  }
+
+  /**
+   * Scrubs the scroll choreography
+   * @param {number} progress - 0 (header in view, assembled) to 1 (scrolled out)
+   * @param {{x: number, y: number}|null} target - Stream destination in canvas CSS pixels
+   */
+  function setScrollProgress(progress, target = null) {
+    scroll.progress = Math.max(0, Math.min(1, progress));
+    scroll.hasTarget = target !== null;
+    if (target) {
+      scroll.targetX = target.x;
+      scroll.targetY = target.y;
+    }
+  }
+
+  /**
+   * Switches theme colors, cross-fading from the current theme
+   * @param {Object} colors - Theme colors to change
+   * @param {string} colors.contourColor - Isoline color
+   * @param {string|null} colors.particleColor - Particle tint (null keeps source colors)
+   * @param {number} duration - Cross-fade length in milliseconds (0 switches instantly)
+   */
+  function setTheme(colors, duration = 0) {
+    // Fade from what is on screen, even if the previous fade is still running
+    const current = duration > 0 ? resolveThemeColors() : null;
+
+    Object.assign(config, colors);
+
+    theme.from = current && {
+      ...theme.to,
+      contourColor: current.contourColor,
+      palette: current.particlePalette.slice()
+    };
+    theme.to = { contourColor: config.contourColor, particleColor: config.particleColor ?? null };
+    theme.progress = duration > 0 ? 0 : 1;
+    theme.duration = duration;
+    themedPaletteStore = null;
+  }
+
+  /**
+   * Sets the obstacles particles and the logo steer around
+   * @param {Array<{left: number, top: number, right: number, bottom: number}>} rects - Obstacles in canvas CSS pixels
+   */
+  function setObstacles(rects) {
+    obstacleRects = rects;
+    initializeObstacleField();
+  }
+
+  /**
+   * Fades particles out while an interactive element is hovered
+   * @param {boolean} isHovering - Whether an interactive element is hovered
+   */
+  function setInteractiveHover(isHovering) {
+    setInteractiveReaction(isHovering ? { type: 'fade' } : null);
+  }
+
+  /**
+   * Reacts to a hovered or focused interactive element
+   * - 'fade': fade all particles out
+   * - 'fade-near': fade out particles within radius of the element
+   * - 'repel': push particles out of the element's box (plus radius)
+   * - 'outline': gather particles into an outline around the element
+   * @param {{type: string, rect: Object, radius: number}|null} reaction - Reaction, or null to end it
+   */
+  function setInteractiveReaction(reaction) {
+    interaction = reaction;
+
+    // Fade particles out (or back in) smoothly
+    // Retiring particles stay faded out
+    particles.targetOpacity.fill(reaction?.type === 'fade' ? 0 : 1.0, 0, particles.liveCount);
+
+    // Return to following the pointers if any are still in canvas
+    if (!reaction) {
+      updateFollowTarget();
+    }
+  }
+
+  /**
+   * Moves the active reaction to the element's new bounds (scroll, layout)
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - Element box in canvas CSS pixels
+   */
+  function setInteractiveRect(rect) {
+    if (interaction) interaction.rect = rect;
+  }
+
+  /**
+   * Updates configuration at runtime
+   * @param {Partial<AmbientConfig>} newConfig - New configuration values
+   */
+  function updateConfig(newConfig) {
+    Object.assign(config, newConfig);
+
+    if (newConfig.fixedTimeStep !== undefined) {
+      config.fixedTimeStep = resolveTimeStep(newConfig.fixedTimeStep);
+    }
+
+    // Theme and color mode changes switch instantly through updateConfig()
+    if (newConfig.contourColor !== undefined || newConfig.particleColor !== undefined ||
+        newConfig.particleColorMode !== undefined || newConfig.particleRamp !== undefined ||
+        newConfig.particleColorLevels !== undefined) {
+      setTheme({}, 0);
+    }
+
+    // Update logo spring parameters if changed
+    if (newConfig.logoSpringStrength !== undefined) {
+      logoState.springStrength = newConfig.logoSpringStrength;
+    }
+    if (newConfig.logoFriction !== undefined) {
+      logoState.friction = newConfig.logoFriction;
+    }
+
+    // Reinitialize if structural parameters changed
+    if (newConfig.seed !== undefined) {
+      initializeSystems();
+      return;
+    }
+
+    if (newConfig.gridSize) {
+      initializeGrid();
+    }
+
+    if (newConfig.obstacleCellSize !== undefined || newConfig.obstaclePadding !== undefined) {
+      initializeObstacleField();
+    }
+
+    // particleCount only sizes the random fallback; logo particles keep their motion
+    const usesRandomPositions = !targetPositions || targetPositions.length === 0;
+    if (newConfig.particleSpringFeel || (newConfig.particleCount && usesRandomPositions)) {
+      initializeParticleSystem();
+    }
+  }
+
+  /**
+   * Switches reduced motion at runtime (freezes contour drift)
+   * @param {boolean} isReduced - Whether reduced motion is in effect
+   */
+  function setReducedMotion(isReduced) {
+    reducedMotion = isReduced;
+  }
+
+  /**
+   * Turns the per-frame 'frame' event on or off
+   * Off by default so workers don't post a message every frame for nothing.
+   * @param {boolean} enabled - Whether to emit 'frame'
+   */
+  function setFrameEvents(enabled) {
+    frameEvents = enabled;
+  }
+
+  /**
+   * Draws particles at their targets once, without animation
+   * Used when reduced motion is preferred.
+   */
+  function renderStatic() {
+    // Position particles at targets immediately
+    const { count, x, y, offsetX, offsetY, opacity } = particles;
+
+    for (let i = 0; i < count; i++) {
+      x[i] = logoState.centerX + offsetX[i];
+      y[i] = logoState.centerY + offsetY[i];
+      opacity[i] = 1.0;
+    }
+
+    // Render once (no animation loop)
+    const { particlePalette } = resolveThemeColors();
+    renderer.clear();
+    renderLinks(particlePalette);
+    renderer.drawParticles(particles, particlePalette, computeColorIndices());
+
+    // Static particles are in place as soon as they are drawn
+    if (!isAssembled && count > 0) {
+      isAssembled = true;
+      if (onEvent) onEvent('assembled', { particleCount: count });
+    }
+  }
+
+  /**
+   * Gets current performance stats
+   * @returns {Object} Performance statistics
+   */
+  function getStats() {
+    return {
+      fps,
+      particleCount: particles.length,
+      gridCells: cols * rows,
+      renderer: renderer.type,
+    };
+  }
+
+  /**
+   * Stops the loop and releases resources
+   */
+  function destroy() {
+    stop();
+
+    // Clear canvas and release GPU resources
+    renderer.destroy();
+
+    // Clear resources
+    particles = new ParticleStore(0);
+    noiseField = null;
+    deformField = null;
+    fbm = null;
+  }
+
+  return {
+    start,
+    stop,
+    resize,
+    setTargets,
+    morphTo,
+    pointerMove,
+    pointerLeave,
+    triggerShockwave,
+    setInteractiveHover,
+    setInteractiveReaction,
+    setInteractiveRect,
+    setObstacles,
+    setScrollProgress,
+    setTheme,
+    updateConfig,
+    setReducedMotion,
+    setFrameEvents,
+    renderStatic,
+    getStats,
+    destroy,
+  };
+}
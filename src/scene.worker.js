@@ -0,0 +1,36 @@
+/**
+ * scene.worker.js - Worker Entry Point
+ *
+ * Runs the scene (noise, contours, particles, rendering) against an
+ * OffscreenCanvas transferred from the main thread.
+ *
+ * Protocol:
+ * - in  { type: 'init', canvas, config, hooks } - create the scene
+ * - in  { type: 'call', method, args } - invoke a scene method
+ * - out { type: 'loaded' } - script evaluated; the canvas can be transferred
+ * - out { type: 'stats', stats } - periodic getStats() snapshot
+ * - out { type: 'event', event, detail } - scene lifecycle event
+ */
+
+import { createScene } from './scene.js';
+
+let scene = null;
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'init') {
+    scene = createScene(data.canvas, data.config, {
+      ...data.hooks,
+      onStats: stats => self.postMessage({ type: 'stats', stats }),
+      onEvent: (event, detail) => self.postMessage({ type: 'event', event, detail })
+    });
+    return;
+  }
+
+  if (data.type === 'call' && scene && typeof scene[data.method] === 'function') {
+    scene[data.method](...data.args);
+  }
+});
+
+// Imports resolved and evaluated; a failure before this point fires 'error'
+// on the main thread instead, which falls back to a main-thread scene
+self.postMessage({ type: 'loaded' });
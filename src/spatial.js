@@ -0,0 +1,85 @@
+/**
+ * spatial.js - Uniform Grid Spatial Hash
+ *
+ * Buckets particles into square cells so neighbour queries only visit the
+ * cells around a point instead of every particle. Rebuilt from scratch each
+ * step with a counting sort: O(n), no per-cell allocations.
+ *
+ * @module spatial
+ */
+
+/**
+ * Uniform grid over the canvas
+ * Particle indices are stored sorted by cell: the particles in cell c are
+ * items[cellStart[c]] .. items[cellStart[c + 1] - 1]. Points outside the
+ * canvas are clamped into the border cells.
+ */
+export class SpatialHash {
+  constructor() {
+    this.cellSize = 1;
+    this.cols = 0;
+    this.rows = 0;
+    this.cellStart = new Uint32Array(1);
+    this.items = new Uint32Array(0);
+    this.cellOf = new Uint32Array(0);
+  }
+
+  /**
+   * Cell column for an x coordinate (clamped to the grid)
+   * @param {number} x - X in canvas CSS pixels
+   * @returns {number} Column index
+   */
+  col(x) {
+    return Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)));
+  }
+
+  /**
+   * Cell row for a y coordinate (clamped to the grid)
+   * @param {number} y - Y in canvas CSS pixels
+   * @returns {number} Row index
+   */
+  row(y) {
+    return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+  }
+
+  /**
+   * Re-buckets all points
+   * @param {Float32Array} x - X positions
+   * @param {Float32Array} y - Y positions
+   * @param {number} count - Number of points
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   * @param {number} cellSize - Cell size in pixels (use the largest query radius)
+   */
+  rebuild(x, y, count, width, height, cellSize) {
+    this.cellSize = Math.max(1, cellSize);
+    this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+    const cells = this.cols * this.rows;
+    if (this.cellStart.length < cells + 1) this.cellStart = new Uint32Array(cells + 1);
+    if (this.items.length < count) {
+      this.items = new Uint32Array(count);
+      this.cellOf = new Uint32Array(count);
+    }
+
+    const { cellStart, items, cellOf } = this;
+
+    // Count per cell, then prefix-sum to each cell's end offset
+    cellStart.fill(0, 0, cells + 1);
+    for (let i = 0; i < count; i++) {
+      const cell = this.row(y[i]) * this.cols + this.col(x[i]);
+      cellOf[i] = cell;
+      cellStart[cell]++;
+    }
+    for (let c = 1; c < cells; c++) {
+      cellStart[c] += cellStart[c - 1];
+    }
+    cellStart[cells] = count;
+
+    // Fill backwards so each end offset walks down to the cell's start
+    for (let i = count - 1; i >= 0; i--) {
+      items[--cellStart[cellOf[i]]] = i;
+    }
+  }
+}
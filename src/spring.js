@@ -1,33 +1,74 @@
 /**
  * Simple spring physics implementation
  * Uses Hooke's law: F = -k * displacement
+ *
+ * Spring presets are expressed per 60Hz frame (springStrength, friction).
+ * getSpringCoefficients() rescales them for any step length so motion feels
+ * the same at every refresh rate.
  */
 
 /**
- * Update particle position using spring physics
+ * Step length (seconds) that per-frame spring parameters are tuned for
+ */
+export const REFERENCE_STEP = 1 / 60;
+
+/**
+ * Convert per-frame spring parameters into coefficients for a step of dt seconds
+ * @param {number} springStrength - Stiffness per reference frame
+ * @param {number} friction - Velocity retained per reference frame (0-1)
+ * @param {number} dt - Step length in seconds
+ * @returns {{stiffness: number, damping: number, scale: number}} Step coefficients
+ */
+export function getSpringCoefficients(springStrength, friction, dt = REFERENCE_STEP) {
+  const scale = dt / REFERENCE_STEP;
+
+  return {
+    stiffness: springStrength * scale,   // Impulse per step
+    damping: Math.pow(friction, scale),  // Friction compounds per reference frame
+    scale                                // Velocity-to-displacement factor
+  };
+}
+
+/**
+ * Pointer force falloff curves: (distance, radius) -> weight
+ * quadratic and gaussian peak at 1 under the pointer and fade to 0 at the
+ * radius edge. inverseSquare is the raw magnetic-field law (1 / d^2), which is
+ * much weaker away from the pointer; strengths are tuned per curve.
+ */
+export const FALLOFF_CURVES = {
+  quadratic: (distance, radius) => Math.pow(1 - distance / radius, 2),
+  inverseSquare: distance => 1 / (distance * distance + 0.01),
+  gaussian: (distance, radius) => {
+    // sigma = radius / 3, so the edge sits at 3 standard deviations
+    const u = (3 * distance) / radius;
+    return Math.exp(-0.5 * u * u);
+  }
+};
+
+/**
+ * Update particle position using spring physics (semi-implicit Euler)
+ * Velocity is updated first, then position from the new velocity.
  * @param {Object} particle - Particle with x, y, vx, vy, targetX, targetY
  * @param {number} dt - Delta time (defaults to 1/60 for 60fps)
  */
-export function springStep(particle, dt = 1/60) {
+export function springStep(particle, dt = REFERENCE_STEP) {
+  const { stiffness, damping, scale } = getSpringCoefficients(
+    particle.springStrength,
+    particle.friction,
+    dt
+  );
+
   // Calculate displacement from target
   const dx = particle.targetX - particle.x;
   const dy = particle.targetY - particle.y;
 
-  // Apply spring force (F = -k * displacement)
-  const ax = dx * particle.springStrength;
-  const ay = dy * particle.springStrength;
-
-  // Update velocity
-  particle.vx += ax;
-  particle.vy += ay;
-
-  // Apply friction/damping
-  particle.vx *= particle.friction;
-  particle.vy *= particle.friction;
+  // Apply spring force (F = -k * displacement), then friction/damping
+  particle.vx = (particle.vx + dx * stiffness) * damping;
+  particle.vy = (particle.vy + dy * stiffness) * damping;
 
   // Update position
-  particle.x += particle.vx;
-  particle.y += particle.vy;
+  particle.x += particle.vx * scale;
+  particle.y += particle.vy * scale;
 }
 
 /**
@@ -47,9 +88,12 @@ export function applyForce(particle, fx, fy) {
  * @param {number} px - Point x coordinate
  * @param {number} py - Point y coordinate
  * @param {Object} options - Repulsion options
+ * @param {number} options.radius - Influence radius (default: 100)
+ * @param {number} options.strength - Force at full weight (default: 5)
+ * @param {string} options.falloff - Key of FALLOFF_CURVES (default: 'quadratic')
  */
 export function applyRepulsion(particle, px, py, options = {}) {
-  const { radius = 100, strength = 5 } = options;
+  const { radius = 100, strength = 5, falloff = 'quadratic' } = options;
 
   const dx = particle.x - px;
   const dy = particle.y - py;
@@ -57,8 +101,8 @@ export function applyRepulsion(particle, px, py, options = {}) {
 
   if (distance >= radius || distance === 0) return;
 
-  // Quadratic falloff
-  const force = Math.pow(1 - distance / radius, 2) * strength;
+  const weight = FALLOFF_CURVES[falloff] || FALLOFF_CURVES.quadratic;
+  const force = weight(distance, radius) * strength;
   const angle = Math.atan2(dy, dx);
 
   particle.vx += Math.cos(angle) * force;
@@ -0,0 +1,478 @@
+/**
+ * WebGL2 Renderer
+ *
+ * GPU backend for dense particle counts. Particles are drawn as instanced quads
+ * in a single draw call; contour segments are expanded into thin quads so line
+ * width stays in CSS pixels regardless of device pixel ratio. Contour bands are
+ * fan-triangulated (isoband polygons are convex) and share the flat-color program.
+ *
+ * Coordinates are passed in CSS pixels and converted to clip space in the
+ * vertex shader, matching the Canvas 2D renderer's DPI-scaled coordinate space.
+ */
+
+import { parseColor } from './color.js';
+
+const PARTICLE_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec3 a_particle;
+layout(location = 2) in vec4 a_color;
+
+uniform vec2 u_resolution;
+
+out vec4 v_color;
+
+void main() {
+  // Snap the quad origin to whole CSS pixels (matches Canvas 2D rounding)
+  vec2 origin = floor(a_particle.xy - a_particle.z * 0.5 + 0.5);
+  vec2 position = origin + a_corner * a_particle.z;
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}
+`;
+
+const SOLID_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_position;
+
+uniform vec2 u_resolution;
+
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec4 v_color;
+out vec4 outColor;
+
+void main() {
+  // Premultiplied alpha output
+  outColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}
+`;
+
+const SOLID_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+uniform vec4 u_color;
+out vec4 outColor;
+
+void main() {
+  outColor = vec4(u_color.rgb * u_color.a, u_color.a);
+}
+`;
+
+// Floats per particle instance: x, y, size, r, g, b, a
+const INSTANCE_STRIDE = 7;
+
+// Floats per contour segment: two triangles of vec2
+const SEGMENT_STRIDE = 12;
+
+/**
+ * Compile and link a shader program
+ * @param {WebGL2RenderingContext} gl - WebGL2 context
+ * @param {string} vertexSource - Vertex shader source
+ * @param {string} fragmentSource - Fragment shader source
+ * @returns {WebGLProgram} Linked program
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const log = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error(`Shader compilation failed: ${log}`);
+    }
+
+    gl.attachShader(program, shader);
+    gl.deleteShader(shader);
+  }
+
+  gl.linkProgram(program);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  return program;
+}
+
+/**
+ * Create a throwaway canvas for probing (page or worker)
+ * @returns {HTMLCanvasElement|OffscreenCanvas|null} Canvas, or null if neither kind exists
+ */
+function createProbeCanvas() {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+  if (typeof document !== 'undefined') return document.createElement('canvas');
+  return null;
+}
+
+/**
+ * Check that WebGL2 is available and both programs compile and link
+ * Runs on a throwaway canvas: once a canvas hands out a WebGL2 context it can
+ * never return a 2D one, so the target canvas must not be touched until the
+ * backend is known to work.
+ * @returns {boolean} Whether the WebGL2 renderer can be created
+ */
+function probeWebGL2() {
+  const probe = createProbeCanvas();
+  const gl = probe ? probe.getContext('webgl2') : null;
+  if (!gl) return false;
+
+  try {
+    createProgram(gl, PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER);
+    createProgram(gl, SOLID_VERTEX_SHADER, SOLID_FRAGMENT_SHADER);
+    return true;
+  } catch (error) {
+    console.warn('WebGL2 renderer initialization failed:', error);
+    return false;
+  } finally {
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+}
+
+/**
+ * Create the WebGL2 renderer
+ * The canvas is left untouched when WebGL2 is unavailable, so the caller can
+ * still fall back to Canvas 2D.
+ * @param {HTMLCanvasElement} canvas - Target canvas element
+ * @returns {Object|null} Renderer, or null if WebGL2 is unavailable
+ * @throws {Error} If initialization fails after the canvas was claimed for WebGL2
+ */
+export function createWebGLRenderer(canvas) {
+  if (!probeWebGL2()) return null;
+
+  const gl = canvas.getContext('webgl2', {
+    alpha: true,
+    antialias: false,
+    premultipliedAlpha: true,
+    preserveDrawingBuffer: false
+  });
+
+  if (!gl) return null;
+
+  let width = 0;
+  let height = 0;
+  let resources = null;
+  let isContextLost = false;
+
+  // CPU-side staging buffers (grown on demand, reused every frame)
+  let instanceData = new Float32Array(1024 * INSTANCE_STRIDE);
+  let vertexData = new Float32Array(1024 * SEGMENT_STRIDE);
+
+  /**
+   * Create programs, buffers and vertex array objects
+   * Called on startup and again after a context restore.
+   */
+  function initResources() {
+    const particleProgram = createProgram(gl, PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER);
+    const solidProgram = createProgram(gl, SOLID_VERTEX_SHADER, SOLID_FRAGMENT_SHADER);
+
+    // Particle VAO: static unit quad + per-instance attributes
+    const particleVao = gl.createVertexArray();
+    gl.bindVertexArray(particleVao);
+
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+    const instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instanceData.byteLength, gl.DYNAMIC_DRAW);
+
+    const bytes = INSTANCE_STRIDE * 4;
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 3, gl.FLOAT, false, bytes, 0);
+    gl.vertexAttribDivisor(1, 1);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 4, gl.FLOAT, false, bytes, 3 * 4);
+    gl.vertexAttribDivisor(2, 1);
+
+    // Solid VAO: CPU-generated triangles (line quads, band fans)
+    const solidVao = gl.createVertexArray();
+    gl.bindVertexArray(solidVao);
+
+    const solidBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, solidBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertexData.byteLength, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    resources = {
+      particleProgram,
+      solidProgram,
+      particleVao,
+      solidVao,
+      cornerBuffer,
+      instanceBuffer,
+      solidBuffer,
+      instanceCapacity: instanceData.length,
+      vertexCapacity: vertexData.length,
+      particleResolution: gl.getUniformLocation(particleProgram, 'u_resolution'),
+      solidResolution: gl.getUniformLocation(solidProgram, 'u_resolution'),
+      solidColor: gl.getUniformLocation(solidProgram, 'u_color')
+    };
+
+    gl.viewport(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Grow the solid staging buffer to hold at least `floats` values
+   * @param {number} floats - Required length
+   */
+  function reserveVertices(floats) {
+    if (floats > vertexData.length) {
+      vertexData = new Float32Array(floats * 2);
+    }
+  }
+
+  /**
+   * Stage a line segment as a quad (two triangles) in the solid buffer
+   * @param {number} offset - Float offset in the solid staging buffer
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {number} halfWidth - Half the line width in CSS pixels
+   * @returns {number} Offset after the quad
+   */
+  function writeSegment(offset, x1, y1, x2, y2, halfWidth) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const nx = (-dy / length) * halfWidth;
+    const ny = (dx / length) * halfWidth;
+
+    vertexData[offset++] = x1 + nx; vertexData[offset++] = y1 + ny;
+    vertexData[offset++] = x1 - nx; vertexData[offset++] = y1 - ny;
+    vertexData[offset++] = x2 + nx; vertexData[offset++] = y2 + ny;
+    vertexData[offset++] = x2 + nx; vertexData[offset++] = y2 + ny;
+    vertexData[offset++] = x1 - nx; vertexData[offset++] = y1 - ny;
+    vertexData[offset++] = x2 - nx; vertexData[offset++] = y2 - ny;
+
+    return offset;
+  }
+
+  /**
+   * Draw the first `floats` values of the solid staging buffer as triangles
+   * @param {number} floats - Number of staged floats
+   * @param {string} color - CSS fill color
+   * @param {number} alpha - Extra opacity multiplier (default: 1)
+   */
+  function drawSolid(floats, color, alpha = 1) {
+    gl.useProgram(resources.solidProgram);
+    gl.bindVertexArray(resources.solidVao);
+    upload(resources.solidBuffer, vertexData, floats, 'vertexCapacity');
+
+    const [r, g, b, a] = parseColor(color);
+    gl.uniform2f(resources.solidResolution, width, height);
+    gl.uniform4f(resources.solidColor, r, g, b, a * alpha);
+    gl.drawArrays(gl.TRIANGLES, 0, floats / 2);
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Upload staging data, growing the GPU buffer if needed
+   */
+  function upload(buffer, data, length, capacityKey) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+
+    if (data.length > resources[capacityKey]) {
+      gl.bufferData(gl.ARRAY_BUFFER, data.byteLength, gl.DYNAMIC_DRAW);
+      resources[capacityKey] = data.length;
+    }
+
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, data, 0, length);
+  }
+
+  function handleContextLost(event) {
+    event.preventDefault();
+    isContextLost = true;
+    resources = null;
+  }
+
+  function handleContextRestored() {
+    isContextLost = false;
+    initResources();
+  }
+
+  // The probe passed, so this only fails on resource exhaustion; the canvas
+  // is already a WebGL2 canvas and can't fall back to Canvas 2D
+  try {
+    initResources();
+  } catch (error) {
+    throw new Error(`WebGL2 renderer initialization failed on a claimed canvas: ${error.message}`);
+  }
+
+  canvas.addEventListener('webglcontextlost', handleContextLost);
+  canvas.addEventListener('webglcontextrestored', handleContextRestored);
+
+  return {
+    type: 'webgl2',
+
+    resize(cssWidth, cssHeight, dpr) {
+      width = cssWidth;
+      height = cssHeight;
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+      gl.viewport(0, 0, canvas.width, canvas.height);
+    },
+
+    clear() {
+      if (isContextLost) return;
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    },
+
+    drawContours(levels, color, lineWidth = 1) {
+      if (isContextLost) return;
+
+      let segmentCount = 0;
+      for (const polylines of levels) {
+        for (const { points, closed } of polylines) {
+          segmentCount += points.length - (closed ? 0 : 1);
+        }
+      }
+      if (segmentCount === 0) return;
+
+      reserveVertices(segmentCount * SEGMENT_STRIDE);
+
+      // Expand each polyline span into a quad of lineWidth CSS pixels
+      const halfWidth = lineWidth / 2;
+      let offset = 0;
+
+      for (const polylines of levels) {
+        for (const { points, closed } of polylines) {
+          const spans = points.length - (closed ? 0 : 1);
+
+          for (let i = 0; i < spans; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            offset = writeSegment(offset, x1, y1, x2, y2, halfWidth);
+          }
+        }
+      }
+
+      drawSolid(offset, color);
+    },
+
+    drawBands(bands) {
+      if (isContextLost) return;
+
+      for (const { polygons, color } of bands) {
+        let triangleCount = 0;
+        for (const polygon of polygons) triangleCount += polygon.length / 2 - 2;
+        if (triangleCount === 0) continue;
+
+        reserveVertices(triangleCount * 6);
+
+        // Fan-triangulate each convex polygon from its first vertex
+        let offset = 0;
+        for (const polygon of polygons) {
+          for (let i = 2; i < polygon.length - 2; i += 2) {
+            vertexData[offset++] = polygon[0]; vertexData[offset++] = polygon[1];
+            vertexData[offset++] = polygon[i]; vertexData[offset++] = polygon[i + 1];
+            vertexData[offset++] = polygon[i + 2]; vertexData[offset++] = polygon[i + 3];
+          }
+        }
+
+        drawSolid(offset, color);
+      }
+    },
+
+    drawLinks(links, color, lineWidth = 1) {
+      if (isContextLost) return;
+
+      const { segments, starts, levels } = links;
+      const halfWidth = lineWidth / 2;
+
+      for (let l = 0; l < levels; l++) {
+        const start = starts[l];
+        const end = starts[l + 1];
+        if (start === end) continue;
+
+        reserveVertices((end - start) * SEGMENT_STRIDE);
+
+        let offset = 0;
+        for (let k = start; k < end; k++) {
+          offset = writeSegment(
+            offset,
+            segments[k * 4], segments[k * 4 + 1],
+            segments[k * 4 + 2], segments[k * 4 + 3],
+            halfWidth
+          );
+        }
+
+        drawSolid(offset, color, (l + 1) / levels);
+      }
+    },
+
+    drawParticles(store, palette = store.palette, colorIndex = store.colorIndex) {
+      const { count, x, y, size, opacity } = store;
+      if (isContextLost || count === 0) return;
+
+      if (count * INSTANCE_STRIDE > instanceData.length) {
+        instanceData = new Float32Array(count * INSTANCE_STRIDE * 2);
+      }
+
+      // Resolve the palette once per frame instead of once per particle
+      const colors = palette.map(parseColor);
+
+      let offset = 0;
+      for (let i = 0; i < count; i++) {
+        const [r, g, b, a] = colors[colorIndex[i]];
+        instanceData[offset++] = x[i];
+        instanceData[offset++] = y[i];
+        instanceData[offset++] = size[i];
+        instanceData[offset++] = r;
+        instanceData[offset++] = g;
+        instanceData[offset++] = b;
+        instanceData[offset++] = a * opacity[i];
+      }
+
+      gl.useProgram(resources.particleProgram);
+      gl.bindVertexArray(resources.particleVao);
+      upload(resources.instanceBuffer, instanceData, offset, 'instanceCapacity');
+
+      gl.uniform2f(resources.particleResolution, width, height);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+      gl.bindVertexArray(null);
+    },
+
+    destroy() {
+      canvas.removeEventListener('webglcontextlost', handleContextLost);
+      canvas.removeEventListener('webglcontextrestored', handleContextRestored);
+
+      if (resources && !isContextLost) {
+        gl.deleteProgram(resources.particleProgram);
+        gl.deleteProgram(resources.solidProgram);
+        gl.deleteVertexArray(resources.particleVao);
+        gl.deleteVertexArray(resources.solidVao);
+        gl.deleteBuffer(resources.cornerBuffer);
+        gl.deleteBuffer(resources.instanceBuffer);
+        gl.deleteBuffer(resources.solidBuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+      }
+
+      resources = null;
+    }
+  };
+}